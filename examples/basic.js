@@ -80,13 +80,16 @@ const api = new BunOpenAPI({
   cors: {
     // Matches the OpenAPI security setup:
     // - JWT auth via HttpOnly cookies
-    // - Double-submit CSRF protection (cookie + X-CSRF-Token header)
-    // This requires an explicit origin and allowing the CSRF header.
-    //origin: 'http://localhost:5173', // your own client IP and port
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+    // - Double-submit CSRF protection (cookie + X-CSRF-Token header, see `csrf` below)
+    // Cross-origin clients need an explicit origin list (the CSRF header is allowed automatically).
+    //origin: ['http://localhost:5173', /^https:\/\/.+\.example\.com$/], // your own client origins
   },
+  // Unsafe methods of cookie-authenticated operations must send the csrfToken cookie back in X-CSRF-Token.
+  // login and refresh rotate the token by setting the cookie themselves.
+  csrf: true,
   strict: true,
   development: true,
+  docs: { rewriteServers: true }, // API reference at /docs, spec at /openapi.json and /openapi.yaml
 })
 
 // Endpoint handlers
@@ -96,12 +99,15 @@ api.register('login', async (req, c) => {
 
   const user = users[login]
   if (!user || user.password !== password) {
-    return Response.json({
-      code: 'INVALID_LOGIN', 
-      message: 'Invalid login or password'
-    }, { 
-      status: 401 
-    })
+    return {
+      status: 401,
+      body: {
+        created: Date.now(),
+        status: 'error',
+        code: 'INVALID_LOGIN',
+        message: 'Invalid login or password'
+      }
+    }
   }
   
   const payload = { id: user.id }
@@ -287,14 +293,15 @@ api.register('updateProfile', async (req, c) => {
     user.image = null
   }
 
-  return Response.json({
+  // Plain objects are validated and serialized against the response schema
+  return {
     created: Date.now(),
     status: 'success',
     data: {
       name: user.name,
       image: user.image
     }
-  })
+  }
 })
 
 api.register('getTodoList', async (req, c) => {
@@ -307,11 +314,11 @@ api.register('getTodoList', async (req, c) => {
       return others
     })
 
-  return Response.json({
+  return {
     created: Date.now(),
     status: 'success',
     data: myTodos
-  })
+  }
 })
 
 api.register('addTodo', async (req, c) => {
@@ -319,12 +326,15 @@ api.register('addTodo', async (req, c) => {
 
   const { title } = await req.json()
   if (!title) {
-    return Response.json({
-      code: 'INVALID_PARAM',
-      message: 'Invalid parameter'
-    }, {
-      status: 400
-    })
+    return {
+      status: 400,
+      body: {
+        created: Date.now(),
+        status: 'error',
+        code: 'INVALID_PARAM',
+        message: 'Invalid parameter'
+      }
+    }
   }
 
   const newTodo = {
@@ -335,13 +345,14 @@ api.register('addTodo', async (req, c) => {
 
   todos.push({ ...newTodo, owner: user.id })
 
-  return Response.json({
-    created: Date.now(),
-    status: 'success',
-    data: newTodo
-  }, {
+  return {
     status: 201,
-  })
+    body: {
+      created: Date.now(),
+      status: 'success',
+      data: newTodo
+    }
+  }
 })
 
 api.register('getTodo', async (req, c) => {
@@ -351,21 +362,24 @@ api.register('getTodo', async (req, c) => {
   
   const todo = todos.find((t) => t.id === id && t.owner === user.id)
   if (!todo) {
-    return Response.json({
-      code: 'NOT_FOUND',
-      message: 'Item not found'
-    }, {
-      status: 404
-    })
+    return {
+      status: 404,
+      body: {
+        created: Date.now(),
+        status: 'error',
+        code: 'NOT_FOUND',
+        message: 'Item not found'
+      }
+    }
   }
 
   const { owner, ...filtered } = todo
 
-  return Response.json({
+  return {
     created: Date.now(),
     status: 'success',
     data: filtered
-  })
+  }
 })
 
 api.register('deleteTodo', async (req, c) => {
@@ -375,17 +389,18 @@ api.register('deleteTodo', async (req, c) => {
   
   const index = todos.findIndex((t) => t.id === id && t.owner === user.id)
   if (index === -1) {
-    return Response.json({
-      code: 'NOT_FOUND',
-      message: 'Item not found'
-    }, {
-      status: 404
-    })
+    return {
+      status: 404,
+      body: {
+        created: Date.now(),
+        status: 'error',
+        code: 'NOT_FOUND',
+        message: 'Item not found'
+      }
+    }
   }
 
-  return Response.json(null, {
-    status: 204
-  })
+  return BunOpenAPI.result(204)
 })
 
 api.register('getPrivacy', async (req, c) => {
@@ -393,7 +408,22 @@ api.register('getPrivacy', async (req, c) => {
     This is a temporary privacy policy used as a placeholder until the finalized version is provided.
     ## Introduction
     This web application (*Service*) collects and handles certain information to operate effectively...`
-  
+
+  // Pick text/markdown or text/html from the Accept header (markdown when either will do)
+  if (req.negotiate() === 'text/html') {
+    const html = `<h1>Privacy Policy</h1>
+    <p>This is a temporary privacy policy used as a placeholder until the finalized version is provided.</p>
+    <h2>Introduction</h2>
+    <p>This web application (<em>Service</em>) collects and handles certain information to operate effectively...</p>`
+
+    return new Response(html, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/html'
+      }
+    })
+  }
+
   return new Response(privacy, {
     status: 200,
     headers: {
@@ -441,10 +471,8 @@ api.register('clientApp', async (req, c) => {
 })
 
 // Security handlers
-api.registerSecurity('CookieAuth', async (req, scopes, c) => {
-  const token = req.cookies.get('accessToken')
-  if (!token) return false
-
+// Credentials are extracted by the declared securitySchemes (the cookie value here)
+api.registerSecurity('CookieAuth', async (token, scopes, c) => {
   const result = await verifyAccessToken(token)
   if (!result.valid) return false
   
@@ -466,10 +494,7 @@ api.registerSecurity('CookieAuth', async (req, scopes, c) => {
   return true
 })
 
-api.registerSecurity('RefreshCookieAuth', async (req, requiredScopes, c) => {
-  const token = req.cookies.get('refreshToken')
-  if (!token) return false
-
+api.registerSecurity('RefreshCookieAuth', async (token, requiredScopes, c) => {
   const result = await verifyRefreshToken(token)
   if (!result.valid) return false
   
@@ -491,24 +516,6 @@ api.registerSecurity('RefreshCookieAuth', async (req, requiredScopes, c) => {
   return true  
 })
 
-api.registerSecurity('CSRFCookieAuth', async (req, requiredScopes, c) => {
-  const token = req.cookies.get('csrfToken')
-  if (!token) return false
-
-  c.csrfToken = token // passing CSRF token
-
-  return true
-})
-
-api.registerSecurity('CSRFHeaderAuth', async (req, requiredScopes, c) => {
-  const token = req.headers.get('x-csrf-token')
-  if (!token) return false
-
-  // The order of the security schemes matters as defined in the OpenAPI spec.
-  // That’s why the comparison is done here.
-  return c.csrfToken === token
-})
-
 // Error handler
 api.registerErrorHandler((error) => {
   const payload = {
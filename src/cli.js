@@ -0,0 +1,81 @@
+#!/usr/bin/env bun
+/**
+ * @file Command line interface: type and client generation from an OpenAPI definition.
+ * @module BunOpenAPI/cli
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ *
+ * @example
+ * bunx bun-openapi types ./openapi.yaml --out ./api-types.d.ts
+ * bunx bun-openapi client ./openapi.yaml --types ./api-types --out ./api-client.js
+ */
+
+import { writeFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import BunOpenAPI from './index.js'
+
+const USAGE = `Usage: bun-openapi <command> <definition> [options]
+
+Commands:
+  types     Generate TypeScript declarations for every operationId
+  client    Generate a dependency-free ES module client
+
+Options:
+  -o, --out <file>    Write to a file instead of stdout
+  --use-defaults      (types) Fields with a schema default are not optional
+  --name <name>       (types) Name of the operations interface (default: Operations)
+  --types <module>    (client) Module of the generated types, for JSDoc (e.g. ./api-types)
+  -h, --help          Show this help`
+
+const COMMANDS = ['types', 'client']
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            'use-defaults': { type: 'boolean', default: false },
+            name: { type: 'string', default: 'Operations' },
+            types: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    })
+
+    const [command, definition] = positionals
+
+    if (values.help || !command) {
+        console.log(USAGE)
+        return 0
+    }
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`Unknown command "${command}".\n\n${USAGE}`)
+        return 1
+    }
+
+    if (!definition) {
+        console.error(`Missing OpenAPI definition file.\n\n${USAGE}`)
+        return 1
+    }
+
+    const api = new BunOpenAPI({ definition })
+    const output = command === 'types'
+        ? await api.generateTypes({ useDefaults: values['use-defaults'], name: values.name })
+        : await api.generateClient({ types: values.types })
+
+    if (values.out) {
+        await writeFile(values.out, output)
+        console.error(`${command === 'types' ? 'Types' : 'Client'} written to ${values.out}`)
+    } else {
+        process.stdout.write(output)
+    }
+    return 0
+}
+
+try {
+    process.exitCode = await main(process.argv.slice(2))
+} catch (err) {
+    console.error(err.message)
+    process.exitCode = 1
+}
@@ -0,0 +1,391 @@
+/**
+ * @file Client SDK generator: a dependency-free ES module with one method per operationId.
+ * The generated module embeds the operation table and a small runtime (path templating,
+ * style-aware query serialization, JSON/multipart bodies, security scheme injection).
+ * @module BunOpenAPI/clientgen
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ */
+
+import { resolve } from './typegen.js'
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// Runtime copied into every generated client (no template literals: it is embedded in one)
+const RUNTIME = String.raw`
+const DELIMITERS = { form: ',', simple: ',', spaceDelimited: ' ', pipeDelimited: '|' }
+
+// Query string pairs of one parameter, following its style and explode settings
+function queryPairs(param, value) {
+    const style = param.style || 'form'
+    const explode = param.explode ?? style === 'form'
+    const delimiter = DELIMITERS[style] || ','
+
+    if (Array.isArray(value)) {
+        return explode
+            ? value.map(item => [param.name, String(item)])
+            : [[param.name, value.join(delimiter)]]
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined)
+        if (style === 'deepObject') return entries.map(([key, item]) => [param.name + '[' + key + ']', String(item)])
+        if (explode) return entries.map(([key, item]) => [key, String(item)])
+        return [[param.name, entries.flat().join(delimiter)]]
+    }
+    return [[param.name, String(value)]]
+}
+
+// Path (simple, label, matrix) or header (simple) value of one parameter
+function styledValue(param, value, encode) {
+    const style = param.style || 'simple'
+    const explode = param.explode ?? false
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value)
+
+    const items = Array.isArray(value)
+        ? value.map(item => encode(String(item)))
+        : isObject
+            ? explode
+                ? Object.entries(value).map(([key, item]) => encode(key) + '=' + encode(String(item)))
+                : Object.entries(value).flat().map(item => encode(String(item)))
+            : [encode(String(value))]
+
+    if (style === 'label') return '.' + items.join(explode ? '.' : ',')
+    if (style === 'matrix') {
+        if (explode && Array.isArray(value)) return items.map(item => ';' + param.name + '=' + item).join('')
+        if (explode && isObject) return items.map(item => ';' + item).join('')
+        return ';' + param.name + '=' + items.join(',')
+    }
+    return items.join(',')
+}
+
+function essence(mediaType) {
+    return (mediaType || '').split(';')[0].trim().toLowerCase()
+}
+
+function isJson(mediaType) {
+    const type = essence(mediaType)
+    return type === 'application/json' || type.endsWith('+json')
+}
+
+function isRawBody(body) {
+    return typeof body === 'string'
+        || body instanceof Blob
+        || body instanceof ArrayBuffer
+        || ArrayBuffer.isView(body)
+        || (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream)
+}
+
+// Serialize a request body for the chosen media type
+function encodeBody(body, mediaType, headers) {
+    const type = essence(mediaType)
+
+    if (body instanceof FormData || type === 'multipart/form-data') {
+        if (body instanceof FormData) return body
+        // The boundary is added by fetch
+        const form = new FormData()
+        for (const [key, value] of Object.entries(body)) {
+            for (const item of Array.isArray(value) ? value : [value]) {
+                if (item === undefined || item === null) continue
+                form.append(key, item instanceof Blob ? item : typeof item === 'object' ? JSON.stringify(item) : String(item))
+            }
+        }
+        return form
+    }
+
+    if (type && !type.includes('*') && !headers.has('Content-Type')) {
+        headers.set('Content-Type', mediaType)
+    }
+
+    if (type === 'application/x-www-form-urlencoded' && !(body instanceof URLSearchParams) && !isRawBody(body)) {
+        const params = new URLSearchParams()
+        for (const [key, value] of Object.entries(body)) {
+            for (const item of Array.isArray(value) ? value : [value]) {
+                if (item !== undefined && item !== null) params.append(key, String(item))
+            }
+        }
+        return params
+    }
+
+    if (isJson(type) && !isRawBody(body)) return JSON.stringify(body)
+    return body
+}
+
+// Pick the request media type: explicit, then multipart for FormData, then the first declared
+function pickMediaType(declared, body, contentType) {
+    if (contentType) return contentType
+    if (body instanceof FormData && declared.includes('multipart/form-data')) return 'multipart/form-data'
+    return declared[0]
+}
+
+// Apply the first security alternative whose schemes all have credentials
+async function applySecurity(requirements, auth, target) {
+    for (const requirement of requirements) {
+        const names = Object.keys(requirement)
+        if (!names.every(name => auth[name] !== undefined && auth[name] !== null)) continue
+
+        for (const name of names) {
+            const scheme = SECURITY_SCHEMES[name] || {}
+            const value = typeof auth[name] === 'function' ? await auth[name]() : auth[name]
+
+            if (scheme.type === 'apiKey') {
+                if (scheme.in === 'header') target.headers.set(scheme.name, String(value))
+                else if (scheme.in === 'query') target.query.push([scheme.name, String(value)])
+                else if (scheme.in === 'cookie') target.cookies.push([scheme.name, String(value)])
+            } else if (scheme.type === 'http' && /^basic$/i.test(scheme.scheme || '')) {
+                target.headers.set('Authorization', 'Basic ' + btoa(value.username + ':' + value.password))
+            } else {
+                // http bearer, oauth2 and openIdConnect send a bearer token
+                target.headers.set('Authorization', 'Bearer ' + value)
+            }
+        }
+        return
+    }
+}
+
+// Read the response body according to its Content-Type (streams are left to the caller)
+async function parseResponse(response, method) {
+    const type = essence(response.headers.get('Content-Type'))
+    let body = null
+
+    if (method !== 'HEAD' && response.status !== 204 && response.status !== 304
+        && type !== 'text/event-stream' && type !== 'application/x-ndjson') {
+        if (isJson(type)) {
+            const text = await response.text()
+            body = text === '' ? null : JSON.parse(text)
+        } else if (type === '' || type.startsWith('text/')) {
+            const text = await response.text()
+            body = text === '' ? null : text
+        } else {
+            body = await response.blob()
+        }
+    }
+
+    return { status: response.status, ok: response.ok, headers: response.headers, body, response }
+}
+
+/**
+ * Creates an API client.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Server URL, defaults to the first server of the definition.
+ * @param {function(string, RequestInit): Promise<Response>} [options.fetch] - fetch implementation.
+ * @param {HeadersInit} [options.headers] - Headers sent with every request.
+ * @param {object} [options.auth] - Credentials by security scheme name: a string (API key, bearer token),
+ * '{ username, password }' for http basic, or a (async) function returning one.
+ * @param {function(string, object): (object[]|null|Promise<object[]|null>)} [options.validate] - Client-side validation,
+ * e.g. the function returned by 'await api.requestValidator()'. Requests with errors are not sent.
+ * @param {RequestInit} [options.init] - Default fetch options (credentials, signal...).
+ */
+export function createClient({
+    baseUrl = DEFAULT_BASE_URL,
+    fetch: fetchFn = (input, init) => globalThis.fetch(input, init),
+    headers: defaultHeaders = {},
+    auth = {},
+    validate = null,
+    init: defaultInit = {},
+} = {}) {
+
+    async function call(operationId, request = {}, init = {}) {
+        const operation = OPERATIONS[operationId]
+
+        if (validate) {
+            const errors = await validate(operationId, request)
+            if (errors && errors.length > 0) {
+                const error = new Error('Invalid request for ' + operationId + ': ' + errors.map(e => e.message).join('; '))
+                error.errors = errors
+                throw error
+            }
+        }
+
+        const { params = {}, query = {}, headers = {}, cookies = {}, body, contentType } = request
+
+        const target = { headers: new Headers(defaultHeaders), query: [], cookies: [] }
+        for (const [name, value] of Object.entries(headers)) {
+            if (value !== undefined && value !== null) target.headers.set(name, String(value))
+        }
+
+        let path = operation.path
+        const declared = { path: new Set(), query: new Set(), header: new Set(), cookie: new Set() }
+
+        for (const param of operation.parameters) {
+            declared[param.in]?.add(param.name)
+            const source = { path: params, query, header: headers, cookie: cookies }[param.in]
+            const value = source?.[param.name]
+
+            if (value === undefined || value === null) {
+                if (param.in === 'path') throw new Error('Missing path parameter "' + param.name + '" for ' + operationId)
+                continue
+            }
+
+            if (param.in === 'path') path = path.split('{' + param.name + '}').join(styledValue(param, value, encodeURIComponent))
+            else if (param.in === 'query') target.query.push(...queryPairs(param, value))
+            else if (param.in === 'header') target.headers.set(param.name, styledValue({ ...param, style: 'simple' }, value, String))
+            else if (param.in === 'cookie') target.cookies.push([param.name, Array.isArray(value) ? value.join(',') : String(value)])
+        }
+
+        // Undeclared query parameters and cookies are sent as is
+        for (const [name, value] of Object.entries(query)) {
+            if (!declared.query.has(name) && value !== undefined && value !== null) target.query.push([name, String(value)])
+        }
+        for (const [name, value] of Object.entries(cookies)) {
+            if (!declared.cookie.has(name) && value !== undefined && value !== null) target.cookies.push([name, String(value)])
+        }
+
+        await applySecurity(operation.security, auth, target)
+
+        if (target.cookies.length > 0) {
+            // Browsers do not let scripts set Cookie: use init.credentials there
+            const cookie = target.cookies.map(([name, value]) => name + '=' + encodeURIComponent(value)).join('; ')
+            const existing = target.headers.get('Cookie')
+            target.headers.set('Cookie', existing ? existing + '; ' + cookie : cookie)
+        }
+
+        let url = baseUrl.replace(/\/+$/, '') + path
+        if (target.query.length > 0) {
+            url += '?' + target.query.map(([name, value]) => encodeURIComponent(name) + '=' + encodeURIComponent(value)).join('&')
+        }
+
+        let payload
+        if (body !== undefined && body !== null && operation.body.length > 0) {
+            payload = encodeBody(body, pickMediaType(operation.body, body, contentType), target.headers)
+        }
+
+        const response = await fetchFn(url, {
+            ...defaultInit,
+            ...init,
+            method: operation.method,
+            headers: target.headers,
+            body: payload,
+        })
+
+        return parseResponse(response, operation.method)
+    }
+`
+
+/**
+ * Generates the source of a dependency-free ES module client for an OpenAPI document.
+ * @param {object} doc - The OpenAPI document (bundled, with internal `$ref`s).
+ * @param {object} [options]
+ * @param {string} [options.types] - Module path of declarations generated by `generateTypes()`,
+ * used in JSDoc so editors and `checkJs` type the methods (e.g. './api-types').
+ * @returns {string}
+ */
+export function generateClient(doc, { types } = {}) {
+    const globalSecurity = doc.security || []
+    const operations = {}
+    const methods = []
+
+    for (const path in doc.paths || {}) {
+        const pathItem = resolve(doc.paths[path], doc) || {}
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method]
+            if (!operation?.operationId) continue
+
+            const parameters = new Map()
+            for (const param of [...pathItem.parameters || [], ...operation.parameters || []]) {
+                const resolved = resolve(param, doc)
+                if (!resolved?.name) continue
+                const { name, in: location, style, explode } = resolved
+                parameters.set(`${location}:${name}`, {
+                    name,
+                    in: location,
+                    ...(style ? { style } : {}),
+                    ...(explode !== undefined ? { explode } : {}),
+                })
+            }
+
+            const requestBody = resolve(operation.requestBody, doc)
+
+            operations[operation.operationId] = {
+                method: method.toUpperCase(),
+                path,
+                parameters: [...parameters.values()],
+                body: Object.keys(requestBody?.content || {}),
+                security: operation.security ?? globalSecurity,
+            }
+            methods.push({ operationId: operation.operationId, method, path, operation })
+        }
+    }
+
+    const schemes = {}
+    for (const [name, scheme] of Object.entries(doc.components?.securitySchemes || {})) {
+        const { type, in: location, name: keyName, scheme: httpScheme } = resolve(scheme, doc) || {}
+        schemes[name] = {
+            type,
+            ...(location ? { in: location } : {}),
+            ...(keyName ? { name: keyName } : {}),
+            ...(httpScheme ? { scheme: httpScheme } : {}),
+        }
+    }
+
+    const lines = [
+        '/**',
+        ` * API client generated by bun-openapi from ${comment(doc.info?.title || 'OpenAPI definition')} ${comment(doc.info?.version || '')}.`.trimEnd(),
+        ' * Dependency-free ES module. Do not edit by hand: regenerate it when the definition changes.',
+        ' */',
+        '',
+    ]
+
+    if (types) {
+        lines.push(
+            `/** @typedef {import(${JSON.stringify(types)}).Operations} Operations */`,
+            '/**',
+            ' * @template {{ params: object, query: object, headers: object, cookies: object, body: unknown }} T',
+            ' * @typedef {{ params?: T[\'params\'], query?: T[\'query\'], headers?: T[\'headers\'] & Record<string, string>, cookies?: T[\'cookies\'], body?: T[\'body\'], contentType?: string }} ClientRequest',
+            ' */',
+            '/**',
+            ' * @template {{ responses: { status: number, body: unknown } }} T',
+            ' * @typedef {T[\'responses\'] & { ok: boolean, headers: Headers, response: Response }} ClientResponse',
+            ' */',
+            '',
+        )
+    }
+
+    lines.push(
+        `export const DEFAULT_BASE_URL = ${JSON.stringify(defaultBaseUrl(doc))}`,
+        '',
+        `const SECURITY_SCHEMES = ${JSON.stringify(schemes, null, 4)}`,
+        '',
+        `const OPERATIONS = ${JSON.stringify(operations, null, 4)}`,
+        RUNTIME.trimEnd(),
+        '',
+        '    return {',
+    )
+
+    for (const { operationId, method, path, operation } of methods) {
+        const key = JSON.stringify(operationId)
+        lines.push(
+            '        /**',
+            ...(operation.summary ? [`         * ${comment(operation.summary)}`] : []),
+            `         * \`${method.toUpperCase()} ${comment(path)}\``,
+            types
+                ? `         * @param {ClientRequest<Operations[${key}]>} [request]`
+                : '         * @param {{params?: object, query?: object, headers?: object, cookies?: object, body?: any, contentType?: string}} [request]',
+            '         * @param {RequestInit} [init]',
+            types
+                ? `         * @returns {Promise<ClientResponse<Operations[${key}]>>}`
+                : '         * @returns {Promise<{status: number, ok: boolean, headers: Headers, body: any, response: Response}>}',
+            '         */',
+            `        ${propertyKey(operationId)}: (request, init) => call(${key}, request, init),`,
+        )
+    }
+
+    lines.push('    }', '}', '')
+    return lines.join('\n')
+}
+
+// First server URL with its variables replaced by their defaults
+function defaultBaseUrl(doc) {
+    const server = doc.servers?.[0]
+    if (!server?.url) return ''
+    return server.url
+        .replace(/{([^}]+)}/g, (_, name) => server.variables?.[name]?.default ?? '')
+        .replace(/\/+$/, '')
+}
+
+function propertyKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+}
+
+function comment(text) {
+    return String(text).replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim()
+}
@@ -0,0 +1,300 @@
+/**
+ * @file Helpers to publish the loaded OpenAPI document: a minimal YAML emitter
+ * and a self-contained HTML API reference (no CDN, no client-side scripts).
+ * @module BunOpenAPI/docs
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+/**
+ * Returns a copy of the document prepared for publishing:
+ * operations (or whole path items) marked `x-internal: true` are removed,
+ * and `servers` can be rewritten to point at the running host.
+ * @param {object} doc - The OpenAPI document (bundled, with internal `$ref`s).
+ * @param {object} [options]
+ * @param {boolean} [options.excludeInternal=true] - Drop operations marked `x-internal`.
+ * @param {string} [options.origin] - When set, `servers` are rewritten to this origin, keeping their base paths.
+ * @returns {object}
+ */
+export function publishSpec(doc, { excludeInternal = true, origin } = {}) {
+    const spec = structuredClone(doc)
+
+    if (excludeInternal) {
+        for (const pathName in spec.paths || {}) {
+            const pathItem = spec.paths[pathName]
+            if (pathItem?.['x-internal'] === true) {
+                delete spec.paths[pathName]
+                continue
+            }
+            for (const method of HTTP_METHODS) {
+                if (pathItem?.[method]?.['x-internal'] === true) {
+                    delete pathItem[method]
+                }
+            }
+            if (!HTTP_METHODS.some(method => pathItem?.[method])) {
+                delete spec.paths[pathName]
+            }
+        }
+    }
+
+    if (origin) {
+        const servers = spec.servers?.length ? spec.servers : [{ url: '/' }]
+        spec.servers = servers.map(server => {
+            // Keep the base path of each server (e.g. https://api.example.com/v1 → /v1)
+            let basePath = '/'
+            try {
+                basePath = new URL(server.url, 'http://localhost').pathname
+            } catch {
+                // Templated urls such as https://{host}/v1 are not valid URLs
+            }
+            return { ...server, url: `${origin}${basePath === '/' ? '' : basePath}` }
+        })
+    }
+
+    return spec
+}
+
+/**
+ * Serializes JSON-compatible data as YAML.
+ * @param {any} value
+ * @returns {string}
+ */
+export function toYAML(value) {
+    return emit(value, 0).replace(/^\n/, '') + '\n'
+}
+
+function emit(value, indent) {
+    const pad = '  '.repeat(indent)
+
+    if (Array.isArray(value)) {
+        if (value.length === 0) return ' []'
+        return value.map(item => {
+            const child = emit(item, indent + 1)
+            // "- key: value" keeps the first mapping entry on the dash line
+            return `\n${pad}-${child.startsWith('\n') ? ' ' + child.trimStart() : child}`
+        }).join('')
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined)
+        if (keys.length === 0) return ' {}'
+        return keys.map(key => `\n${pad}${yamlKey(key)}:${emit(value[key], indent + 1)}`).join('')
+    }
+
+    return ' ' + yamlScalar(value, pad)
+}
+
+function yamlKey(key) {
+    return /^[A-Za-z_$][\w$.\-]*$/.test(key) && !RESERVED.test(key) ? key : JSON.stringify(key)
+}
+
+const RESERVED = /^(true|false|null|yes|no|on|off|~)$/i
+
+function yamlScalar(value, pad) {
+    if (value === null) return 'null'
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+
+    const str = String(value)
+
+    // Multi-line text as a literal block, chomping indicator chosen to keep trailing newlines
+    if (str.includes('\n') && !/^\s/.test(str) && !/[ \t]\n/.test(str)) {
+        const trailing = str.match(/\n*$/)[0].length
+        const chomp = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+'
+        const lines = str.replace(/\n+$/, '').split('\n')
+        const body = lines.map(line => line === '' ? '' : pad + line).join('\n')
+        return `${chomp}\n${body}${'\n'.repeat(Math.max(0, trailing - 1))}`
+    }
+
+    const plain = /^[A-Za-z_/][\w .,:/()'+\-]*$/.test(str)
+        && !RESERVED.test(str)
+        && !/[ :]$/.test(str)
+        && !/: | #/.test(str)
+
+    return plain ? str : JSON.stringify(str)
+}
+
+/**
+ * Renders a self-contained HTML API reference for an OpenAPI document.
+ * @param {object} spec - The published OpenAPI document.
+ * @param {object} [options]
+ * @param {string} [options.specUrl] - Base url of the published spec (linked as `.json` and `.yaml`).
+ * @returns {string}
+ */
+export function renderDocs(spec, { specUrl } = {}) {
+    const info = spec.info || {}
+    const groups = new Map() // tag → [{ method, path, operation }]
+
+    for (const pathName in spec.paths || {}) {
+        const pathItem = spec.paths[pathName]
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem?.[method]
+            if (!operation) continue
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+            for (const tag of operation.tags?.length ? operation.tags : ['default']) {
+                if (!groups.has(tag)) groups.set(tag, [])
+                groups.get(tag).push({ method, path: pathName, operation, parameters })
+            }
+        }
+    }
+
+    const tagInfo = new Map((spec.tags || []).map(tag => [tag.name, tag]))
+    const schemas = spec.components?.schemas || {}
+
+    const nav = [...groups.keys()].map(tag =>
+        `<li><a href="#tag-${slug(tag)}">${esc(tagInfo.get(tag)?.['x-displayName'] || tag)}</a></li>`
+    ).join('')
+
+    const sections = [...groups].map(([tag, operations]) => `
+<section id="tag-${slug(tag)}">
+  <h2>${esc(tagInfo.get(tag)?.['x-displayName'] || tag)}</h2>
+  ${tagInfo.get(tag)?.description ? `<p>${esc(tagInfo.get(tag).description)}</p>` : ''}
+  ${operations.map(renderOperation).join('')}
+</section>`).join('')
+
+    const schemaSection = Object.keys(schemas).length === 0 ? '' : `
+<section id="schemas">
+  <h2>Schemas</h2>
+  ${Object.entries(schemas).map(([name, schema]) => `
+  <details class="schema" id="schema-${slug(name)}">
+    <summary><code>${esc(name)}</code></summary>
+    <pre>${renderSchema(schema)}</pre>
+  </details>`).join('')}
+</section>`
+
+    const links = specUrl
+        ? `<p class="links"><a href="${esc(specUrl)}.json">${esc(specUrl)}.json</a> · <a href="${esc(specUrl)}.yaml">${esc(specUrl)}.yaml</a></p>`
+        : ''
+
+    const servers = (spec.servers || []).map(server => `<code>${esc(server.url)}</code>`).join(' ')
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(info.title || 'API')} – API Reference</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav><strong>${esc(info.title || 'API')}</strong><ul>${nav}${schemaSection ? '<li><a href="#schemas">Schemas</a></li>' : ''}</ul></nav>
+<main>
+<header>
+  <h1>${esc(info.title || 'API')} <small>${esc(info.version || '')}</small></h1>
+  ${info.description ? `<p>${esc(info.description)}</p>` : ''}
+  ${servers ? `<p>Servers: ${servers}</p>` : ''}
+  ${links}
+</header>
+${sections}
+${schemaSection}
+</main>
+</body>
+</html>
+`
+}
+
+function renderOperation({ method, path, operation, parameters }) {
+    const id = operation.operationId ? `op-${slug(operation.operationId)}` : ''
+    const security = operation.security ?? null
+
+    const params = parameters.length === 0 ? '' : `
+    <h4>Parameters</h4>
+    <table>
+      <tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>
+      ${parameters.map(param => `
+      <tr>
+        <td><code>${esc(param.name)}</code>${param.required ? ' <span class="req">required</span>' : ''}</td>
+        <td>${esc(param.in)}</td>
+        <td>${renderType(param.schema)}</td>
+        <td>${esc(param.description || '')}</td>
+      </tr>`).join('')}
+    </table>`
+
+    const body = operation.requestBody?.content ? `
+    <h4>Request body${operation.requestBody.required ? ' <span class="req">required</span>' : ''}</h4>
+    ${renderContent(operation.requestBody.content)}` : ''
+
+    const responses = Object.entries(operation.responses || {}).map(([status, response]) => `
+      <div class="response">
+        <p><span class="status s${esc(status[0])}">${esc(status)}</span> ${esc(response?.description || '')}</p>
+        ${response?.content ? renderContent(response.content) : ''}
+      </div>`).join('')
+
+    return `
+  <details class="op"${id ? ` id="${id}"` : ''}>
+    <summary><span class="method ${method}">${method.toUpperCase()}</span> <code>${esc(path)}</code> ${esc(operation.summary || '')}${operation.deprecated ? ' <span class="req">deprecated</span>' : ''}</summary>
+    ${operation.description ? `<p>${esc(operation.description)}</p>` : ''}
+    ${operation.operationId ? `<p class="meta">operationId: <code>${esc(operation.operationId)}</code></p>` : ''}
+    ${security ? `<p class="meta">Security: ${security.length === 0 ? 'none' : security.map(req => Object.keys(req).length === 0 ? 'anonymous' : Object.keys(req).map(esc).join(' + ')).join(' | ')}</p>` : ''}
+    ${params}
+    ${body}
+    <h4>Responses</h4>
+    ${responses}
+  </details>`
+}
+
+function renderContent(content) {
+    return Object.entries(content).map(([mediaType, media]) => `
+      <p class="meta"><code>${esc(mediaType)}</code> ${media?.schema ? renderType(media.schema) : ''}</p>
+      ${media?.schema && !media.schema.$ref ? `<pre>${renderSchema(media.schema)}</pre>` : ''}`).join('')
+}
+
+// Short type label, linking $refs to the schema section
+function renderType(schema) {
+    if (!schema) return ''
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop()
+        return `<a href="#schema-${slug(name)}">${esc(name)}</a>`
+    }
+    if (schema.type === 'array') return `${renderType(schema.items) || 'any'}[]`
+    const type = [].concat(schema.type || 'any').join(' | ')
+    return `<code>${esc(type)}${schema.format ? ` (${esc(schema.format)})` : ''}</code>`
+}
+
+function renderSchema(schema) {
+    let json
+    try {
+        json = JSON.stringify(schema, null, 2)
+    } catch {
+        json = '[circular schema]'
+    }
+    return esc(json).replace(/&quot;\$ref&quot;: &quot;#\/components\/schemas\/([^&]+)&quot;/g,
+        (match, name) => `&quot;$ref&quot;: <a href="#schema-${slug(name)}">&quot;#/components/schemas/${name}&quot;</a>`)
+}
+
+function slug(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]+/g, '-')
+}
+
+function esc(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+const STYLES = `
+*{box-sizing:border-box}
+body{margin:0;display:flex;font:15px/1.5 system-ui,-apple-system,Segoe UI,Roboto,sans-serif;color:#1f2328;background:#fff}
+nav{position:sticky;top:0;height:100vh;overflow:auto;width:240px;flex:none;padding:20px;background:#f6f8fa;border-right:1px solid #d0d7de}
+nav ul{list-style:none;padding:0}
+nav a{color:inherit;text-decoration:none;display:block;padding:2px 0}
+main{flex:1;max-width:980px;padding:20px 40px}
+h1 small{font-size:.5em;color:#656d76}
+code,pre{font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:13px}
+pre{background:#f6f8fa;padding:12px;border-radius:6px;overflow:auto}
+details{border:1px solid #d0d7de;border-radius:6px;margin:8px 0;padding:0 12px}
+details[open]{padding-bottom:12px}
+summary{cursor:pointer;padding:10px 0}
+table{border-collapse:collapse;width:100%}
+th,td{text-align:left;border-bottom:1px solid #d0d7de;padding:6px 8px;vertical-align:top}
+.method{display:inline-block;min-width:64px;text-align:center;font-weight:600;font-size:12px;color:#fff;border-radius:4px;padding:2px 6px;background:#6e7781}
+.get{background:#0969da}.post{background:#1a7f37}.put{background:#9a6700}.patch{background:#8250df}.delete{background:#cf222e}
+.status{font-weight:600;font-family:ui-monospace,monospace}
+.s2{color:#1a7f37}.s3{color:#0969da}.s4{color:#9a6700}.s5{color:#cf222e}
+.req{font-size:11px;color:#cf222e;text-transform:uppercase}
+.meta{color:#656d76;margin:4px 0}
+`
@@ -4,20 +4,189 @@
  * Options for configuring BunOpenAPI.
  */
 export interface BunOpenAPIOptions {
-  /** Path to OpenAPI YAML/JSON file or parsed OpenAPI document object */
-  definition: string | object;
+  /** Path to OpenAPI YAML/JSON file or parsed OpenAPI document object (omit it on an instance that only mounts others) */
+  definition?: string | object;
 
-  /** CORS configuration. Overrides or extends default headers. */
-  cors?: {
-    origin?: string;
-    [header: string]: string | undefined;
-  };
+  /** CORS configuration, evaluated per request. Operations can override it with `x-cors`. */
+  cors?: CorsOptions;
 
   /** Enable strict response validation against the OpenAPI schema (default: false) */
   strict?: boolean;
 
   /** Show detailed validation errors in responses (default: true) */
   development?: boolean;
+
+  /** Serve the OpenAPI document and a built-in API reference page (default: false) */
+  docs?: boolean | DocsOptions;
+
+  /**
+   * Answer unimplemented operations from spec examples or response schemas (default: false).
+   * Operations can opt in or out individually with `x-mock: true | false`.
+   */
+  mock?: boolean | MockOptions;
+
+  /**
+   * Error body format (default: 'default').
+   * 'problem' sends RFC 9457 `application/problem+json` with `type`, `title`, `status`, `detail`, `instance`, `code` and `errors`.
+   */
+  errorFormat?: 'default' | 'problem';
+
+  /** readOnly properties sent in request bodies: rejected (400), removed, or ignored (default: 'ignore') */
+  readOnly?: 'reject' | 'remove' | 'ignore';
+
+  /**
+   * writeOnly properties in JSON responses (default: 'flag').
+   * 'flag' reports them through response validation (`strict: true`), 'remove' strips them from the response.
+   */
+  writeOnly?: 'flag' | 'remove' | 'ignore';
+
+  /** Remove properties excluded by `additionalProperties` (assumed `false` when not declared, except in allOf/anyOf/oneOf members) from request bodies (default: false) */
+  removeAdditional?: boolean;
+
+  /**
+   * Fill in schema `default` values for missing parameters and body properties, nested objects included (default: false).
+   * With it, fields that declare a default are always present in `context.query`, `context.body`, etc.
+   */
+  useDefaults?: boolean;
+
+  /**
+   * Verify `bearerFormat: JWT` and `openIdConnect` tokens locally (requires the `jose` package).
+   * Claims land in `securityContext.claims`; a registerSecurity() handler becomes optional for these schemes.
+   */
+  jwt?: JwtOptions | null;
+
+  /**
+   * Double-submit CSRF protection (default: false) for unsafe methods of operations marked `x-csrf: true`
+   * or secured by a cookie API key (`x-csrf: false` opts out). Mismatches get a 403 `CSRF_MISMATCH`.
+   */
+  csrf?: boolean | CsrfOptions;
+
+  /**
+   * Answer 406 `NOT_ACCEPTABLE` when the Accept header matches none of the media types declared by
+   * an operation's success (2xx) responses (default: false). Operations can override it with `x-not-acceptable`.
+   */
+  notAcceptable?: boolean;
+
+  /**
+   * Reload the definition file when it, or a file it `$ref`s, changes (default: false; file paths only).
+   * Handlers are kept and the routes of fetch() are swapped once the new definition compiled;
+   * a definition that fails to load is logged and the previous one keeps serving. See close().
+   */
+  watch?: boolean;
+}
+
+/**
+ * Options for mount().
+ */
+export interface MountOptions {
+  /** Version served under the prefix, requested with `Accept-Version` or `Accept: <type>; version=<version>` */
+  version?: string | number;
+
+  /** Serve the requests that ask for no version (default: the first instance mounted under the prefix) */
+  default?: boolean;
+}
+
+/**
+ * CSRF configuration.
+ */
+export interface CsrfOptions {
+  /** Name of the token cookie, readable by scripts (default: 'csrfToken') */
+  cookieName?: string;
+
+  /** Request header repeating the token; responses carry the current token in it too (default: 'X-CSRF-Token') */
+  headerName?: string;
+
+  /** Token cookie attributes (default: { path: '/', sameSite: 'lax', secure: false }) */
+  cookie?: {
+    path?: string;
+    domain?: string;
+    sameSite?: 'strict' | 'lax' | 'none';
+    secure?: boolean;
+    maxAge?: number;
+  };
+}
+
+/**
+ * Options for local JWT verification: one of `secret`, `publicKey` or `jwks` is needed.
+ */
+export interface JwtOptions {
+  /** Shared secret for HMAC algorithms (HS256...) */
+  secret?: string;
+
+  /** PEM public key or certificate, or the path of a PEM file */
+  publicKey?: string;
+
+  /** JWKS document, or the path of a JSON file */
+  jwks?: string | { keys: object[] };
+
+  /** Expected `iss` claim */
+  issuer?: string | string[];
+
+  /** Expected `aud` claim */
+  audience?: string | string[];
+
+  /** Accepted `alg` header values */
+  algorithms?: string[];
+
+  /** Tolerance for `exp` and `nbf`, in seconds or as a time span such as '30s' */
+  clockTolerance?: number | string;
+}
+
+/**
+ * CORS configuration.
+ * Raw `Access-Control-*` keys and other custom headers are also accepted.
+ */
+export interface CorsOptions {
+  /**
+   * Allowed origin(s) (default: '*').
+   * A single string is always sent as is; for a list, RegExp or function the request's `Origin` is echoed back when it matches.
+   */
+  origin?: string | Array<string | RegExp> | RegExp | ((origin: string, request: Request) => boolean | string | Promise<boolean | string>);
+
+  /** Send `Access-Control-Allow-Credentials: true` (default: true unless origin is '*') */
+  credentials?: boolean;
+
+  /** Request headers allowed in preflight, `'*'` for any (default: Content-Type, Authorization) */
+  allowHeaders?: string | string[];
+
+  /** Response headers exposed to the browser */
+  exposeHeaders?: string | string[];
+
+  /** Access-Control-Max-Age of preflight responses, in seconds */
+  maxAge?: number;
+
+  [header: string]: unknown;
+}
+
+/**
+ * Options for mock mode.
+ */
+export interface MockOptions {
+  /** Seed for values generated from response schemas (default: 1) */
+  seed?: number;
+}
+
+/**
+ * Options for serving the OpenAPI document and API reference.
+ */
+export interface DocsOptions {
+  /** Mount path of the HTML API reference, false to disable it (default: '/docs') */
+  path?: string | false;
+
+  /** The document is served at `${specPath}.json` and `${specPath}.yaml` (default: '/openapi') */
+  specPath?: string;
+
+  /** Hide operations or path items marked `x-internal: true` (default: true) */
+  excludeInternal?: boolean;
+
+  /** Rewrite `servers` to match the host of the incoming request (default: false) */
+  rewriteServers?: boolean;
+
+  /**
+   * With `rewriteServers`, take the host from `X-Forwarded-Host`/`X-Forwarded-Proto` (default: false).
+   * Enable it only behind a proxy that sets these headers: clients can send any value.
+   */
+  trustProxy?: boolean;
 }
 
 /**
@@ -33,30 +202,80 @@ export interface RequestContext {
   /** HTTP method */
   method: string;
 
+  /** operationId of the matched operation */
+  operationId: string;
+
   /** Path parameters (e.g., { id: "123" }) */
   params: Record<string, string>;
 
-  /** Parsed query parameters */
-  query: Record<string, string | string[]>;
+  /** Parsed query parameters, type-coerced (defaults filled in with `useDefaults`) */
+  query: Record<string, any>;
 
-  /** Parsed body (JSON or form data). Available after parsing. */
+  /**
+   * Parsed body, picked by Content-Type among the declared media types. Available after parsing.
+   * Properties with a schema default are filled in with `useDefaults`.
+   */
   body: any;
 
   /** Parsed cookies as a Bun.CookieMap */
   cookies: Bun.CookieMap;
 
-  /** Convenience: re-parse body as JSON (only if Content-Type is application/json) */
+  /** Header parameters declared in the spec, validated and type-coerced (keyed by declared name) */
+  headerParams: Record<string, any>;
+
+  /** Cookie parameters declared in the spec, validated and type-coerced */
+  cookieParams: Record<string, any>;
+
+  /** Current CSRF token, or the one issued with this response (with the `csrf` option) */
+  csrfToken?: string;
+
+  /**
+   * With a media type: whether the Accept header accepts it.
+   * Without: the media types of the success responses the client accepts, most preferred first.
+   */
+  accepts: {
+    (mediaType: string): boolean;
+    (): string[];
+  };
+
+  /**
+   * The preferred media type for the Accept header among `mediaTypes` (default: those of the success responses),
+   * or null when none is acceptable. Without an Accept header, the first one.
+   */
+  negotiate: (mediaTypes?: string[]) => string | null;
+
+  /** Convenience: re-parse body as JSON (only for application/json and +json media types) */
   json?: () => Promise<any>;
 
   /** Convenience: re-create FormData (only for multipart/form-data or urlencoded) */
   formData?: () => Promise<FormData>;
 }
 
+/**
+ * The security requirement alternative that authorized the request.
+ */
+export interface SatisfiedSecurity {
+  /** Index of the alternative in the effective `security` array */
+  index: number;
+
+  /** Scheme names in that alternative (empty for anonymous `{}`) */
+  schemes: string[];
+
+  /** The requirement object itself (schemeName → scopes) */
+  requirement: Record<string, string[]>;
+}
+
 /**
  * Security context built by security handlers.
  * You can attach authenticated user, roles, etc. here.
  */
-export interface SecurityContext { [key: string]: any }
+export interface SecurityContext {
+  /** Set once a security requirement passes */
+  satisfied?: SatisfiedSecurity;
+  /** Claims of the verified JWT (with the `jwt` option) */
+  claims?: Record<string, any>;
+  [key: string]: any;
+}
 
 /**
  * Error info passed to custom error handlers.
@@ -66,8 +285,45 @@ export interface ErrorInfo {
   code: string;
   message: string;
   details?: any[];
+
+  /** Validation failures, with the part of the request they come from */
+  errors: ValidationProblem[];
+
+  /** The incoming request (null when not available) */
+  request: Request | null;
+
+  /** operationId of the matched operation (null outside of an operation, e.g. 404 or 405) */
+  operationId: string | null;
+}
+
+/**
+ * One validation failure, as listed in `errors`.
+ */
+export interface ValidationProblem {
+  /** JSON pointer into the body, or into the parameter value ('#' for the value itself) */
+  pointer: string;
+
+  /** Parameter name (absent for body errors) */
+  parameter?: string;
+
+  in: 'query' | 'path' | 'header' | 'cookie' | 'body';
+  message: string;
+}
+
+/**
+ * Result a handler can return instead of a Response. The body is serialized against the documented
+ * response of `status`, with the media type of a `Content-Type` header or one negotiated among the documented ones.
+ */
+export interface HandlerResult<S extends number = number, B = unknown> {
+  status: S;
+  /** Required on plain objects: without it, the object is a bare body */
+  body: B;
+  headers?: HeadersInit;
 }
 
+/** A Response, a `{ status, body, headers }` result, or the body of the first documented 2xx response */
+export type HandlerReturn = Response | HandlerResult | object | string | number | boolean | null;
+
 /**
  * Operation handler function type.
  * Registered via .register(operationId, handler)
@@ -75,17 +331,169 @@ export interface ErrorInfo {
 export type OperationHandler = (
   context: RequestContext,
   securityContext: SecurityContext
-) => Response | Promise<Response>;
+) => HandlerReturn | Promise<HandlerReturn>;
+
+/**
+ * Types of one operation, as emitted by generateTypes() / `bun-openapi types`.
+ */
+export interface OperationTypes {
+  params: object;
+  query: object;
+  headers: object;
+  cookies: object;
+  body: unknown;
+  responses: { status: number; body: unknown };
+}
+
+/**
+ * Request context typed from the generated types of an operation.
+ */
+export interface TypedRequestContext<T extends OperationTypes>
+  extends Omit<RequestContext, 'params' | 'query' | 'body' | 'headerParams' | 'cookieParams'> {
+  params: T['params'];
+  query: T['query'];
+  body: T['body'];
+  headerParams: T['headers'];
+  cookieParams: T['cookies'];
+}
+
+/** `{ status, body, headers }` results of the documented responses of an operation */
+export type TypedHandlerResult<R> = R extends { status: infer S; body: infer B }
+  ? HandlerResult<S extends number ? S : number, B>
+  : never;
+
+/** Bare bodies of the documented 2xx responses of an operation */
+export type SuccessBody<R> = R extends { status: infer S; body: infer B }
+  ? `${S & number}` extends `2${string}` ? B : never
+  : never;
+
+/** What a typed handler returns */
+export type TypedHandlerReturn<T extends OperationTypes> =
+  | Response
+  | TypedHandlerResult<T['responses']>
+  | SuccessBody<T['responses']>;
+
+/**
+ * Operation handler typed from the generated types of an operation.
+ */
+export type TypedOperationHandler<T extends OperationTypes> = (
+  context: TypedRequestContext<T>,
+  securityContext: SecurityContext
+) => TypedHandlerReturn<T> | Promise<TypedHandlerReturn<T>>;
+
+/** Accepted operationIds: any string until generated types are given to the class */
+export type OperationIdOf<Ops> = {} extends Ops ? string : keyof Ops & string;
+
+/** Handler type for an operationId */
+export type HandlerFor<Ops, K> = K extends keyof Ops
+  ? Ops[K] extends OperationTypes ? TypedOperationHandler<Ops[K]> : OperationHandler
+  : OperationHandler;
+
+/**
+ * Options for generateTypes().
+ */
+export interface GenerateTypesOptions {
+  /** Fields with a schema default are not optional (default: the instance's `useDefaults`) */
+  useDefaults?: boolean;
+
+  /** Name of the exported operations interface (default: 'Operations') */
+  name?: string;
+}
+
+/**
+ * Options for generateClient().
+ */
+export interface GenerateClientOptions {
+  /** Module of the generated types (e.g. './api-types'), referenced in JSDoc to type the client methods */
+  types?: string;
+}
+
+/**
+ * Client-side validator returned by requestValidator(), usable as the generated client's `validate` option.
+ * Returns an empty array when the request is valid.
+ */
+export type RequestValidator = (
+  operationId: string,
+  request?: {
+    params?: Record<string, any>;
+    query?: Record<string, any>;
+    headers?: Record<string, any>;
+    cookies?: Record<string, any>;
+    body?: any;
+    contentType?: string;
+  }
+) => ValidationProblem[];
+
+/**
+ * Credential passed to http basic security handlers.
+ */
+export interface BasicCredentials {
+  username: string;
+  password: string;
+}
 
 /**
  * Security scheme handler function type.
- * Return true on success, false or Response on failure.
+ * `credential` is the API key value, `BasicCredentials` for http basic, or the token for
+ * http bearer, oauth2 and openIdConnect (`null` for schemes without one, e.g. mutualTLS).
+ * Return true on success, the granted scopes (checked against the required ones),
+ * or false or a Response on failure.
  */
 export type SecurityHandler = (
-  context: RequestContext,
+  credential: any,
   requiredScopes: string[],
-  securityContext: SecurityContext
-) => boolean | Response | Promise<boolean | Response>;
+  securityContext: SecurityContext,
+  context: RequestContext
+) => boolean | string[] | Response | Promise<boolean | string[] | Response>;
+
+/**
+ * Hooks around the operation pipeline. Returning a Response from
+ * onRequest, preValidation or preHandler short-circuits the pipeline.
+ */
+export interface Hooks {
+  /** Before the body is parsed */
+  onRequest?: (context: RequestContext) => void | Response | Promise<void | Response>;
+
+  /** After the body is parsed, before validation */
+  preValidation?: (context: RequestContext) => void | Response | Promise<void | Response>;
+
+  /** After validation and security checks, before the handler */
+  preHandler?: (
+    context: RequestContext,
+    securityContext: SecurityContext
+  ) => void | Response | Promise<void | Response>;
+
+  /** For every response of the operation. Return a Response to replace it. */
+  onResponse?: (
+    context: RequestContext,
+    response: Response,
+    securityContext: SecurityContext
+  ) => void | Response | Promise<void | Response>;
+
+  /** For errors thrown by hooks or the handler. Return a Response to answer with it. */
+  onError?: (
+    context: RequestContext,
+    error: unknown,
+    securityContext: SecurityContext
+  ) => void | Response | Promise<void | Response>;
+}
+
+/**
+ * Limits hooks to operations with any of the given tags or operationIds.
+ */
+export interface HookScope {
+  tag?: string | string[];
+  operationId?: string | string[];
+}
+
+/**
+ * Request body parser function type.
+ * Registered via .registerBodyParser(mediaType, parser). Throw to reject the body with a 400.
+ */
+export type BodyParser = (
+  request: Request,
+  contentType: string
+) => any | Promise<any>;
 
 /**
  * Custom error response formatter.
@@ -101,21 +509,121 @@ export type NotFoundHandler = (
   request: Request
 ) => object | Response | Promise<object | Response>;
 
+/**
+ * Request for inject().
+ */
+export interface InjectRequest {
+  /** HTTP method (default: 'GET') */
+  method?: string;
+
+  /** A path such as '/users/42?fields=name', or an absolute URL */
+  url: string;
+
+  headers?: HeadersInit;
+
+  /** Plain objects and arrays are sent as JSON; strings, FormData, Blob and URLSearchParams as is */
+  body?: any;
+
+  /** Sent in the Cookie header */
+  cookies?: Record<string, string>;
+}
+
+/**
+ * Response of inject(), with the body parsed for JSON media types (text otherwise, null when empty).
+ */
+export interface InjectResponse {
+  status: number;
+  headers: Headers;
+  body: any;
+}
+
+/**
+ * Options for testContract().
+ */
+export interface TestContractOptions {
+  /** Headers sent with every request (e.g. credentials) */
+  headers?: HeadersInit;
+
+  /** Cookies sent with every request */
+  cookies?: Record<string, string>;
+
+  /** Per-operationId overrides of the request built from the spec examples */
+  requests?: Record<string, {
+    params?: Record<string, any>;
+    query?: Record<string, any>;
+    headers?: Record<string, string>;
+    cookies?: Record<string, string>;
+    body?: any;
+  }>;
+}
+
+/**
+ * Result of testContract().
+ */
+export interface ContractTestReport {
+  ok: boolean;
+
+  /** One entry per tested operation, with its contract failures (undocumented status, schema violations) */
+  results: { operationId: string; method: string; path: string; status: number; failures: string[] }[];
+
+  /** Operations without a handler (and not mocked) */
+  skipped: string[];
+}
+
+/**
+ * Result of the startup contract check (see `check()` and `routes({ requireAll: true })`).
+ */
+export interface ContractReport {
+  /** true when no problem was found */
+  ok: boolean;
+
+  /** Registered operationIds that do not exist in the spec (e.g., typos) */
+  unknownOperations: string[];
+
+  /** Operations without a registered handler (operations answered by mock mode excluded) */
+  unimplementedOperations: { operationId: string; method: string; path: string }[];
+
+  /** Security schemes referenced by operations without a registerSecurity() handler */
+  missingSecurityHandlers: { scheme: string; operations: string[] }[];
+
+  /** Operations without an operationId (no route is generated for them) */
+  missingOperationIds: { method: string; path: string }[];
+
+  /** OpenAPI paths that resolve to the same route, e.g. /users/{id} and /users/{userId}, and define the same methods */
+  routeConflicts: { route: string; paths: string[]; methods: string[] }[];
+}
+
+/**
+ * Options for routes().
+ */
+export interface RoutesOptions {
+  /** Throw (with `error.report`) when the contract check finds a problem (default: false) */
+  requireAll?: boolean;
+}
+
 /**
  * BunOpenAPI - OpenAPI 3.x middleware router with validation for Bun.
+ * Pass the generated `Operations` interface (see generateTypes()) to type handlers:
+ * `new BunOpenAPI<Operations>({ ... })`.
  */
-declare class BunOpenAPI {
+declare class BunOpenAPI<Ops extends object = {}> {
   /**
    * Create a new BunOpenAPI instance.
    */
   constructor(options: BunOpenAPIOptions);
 
+  /**
+   * Build a handler result explicitly (the status must be an integer between 100 and 599).
+   */
+  static result<S extends number, B = null>(status: S, body?: B, headers?: HeadersInit): HandlerResult<S, B>;
+
   /**
    * Register a handler for an OpenAPI operation.
+   * With generated types, an unknown operationId or a mismatched handler is a compile error.
    * @param operationId The operationId from your OpenAPI spec
    * @param handler Handler function or null to unregister
    */
-  register(operationId: string, handler: OperationHandler | null): void;
+  register<K extends OperationIdOf<Ops>>(operationId: K, handler: HandlerFor<Ops, K> | null): void;
 
   /**
    * Register a security scheme handler (e.g., Bearer, apiKey).
@@ -124,6 +632,41 @@ declare class BunOpenAPI {
    */
   registerSecurity(schemeName: string, handler: SecurityHandler | null): void;
 
+  /**
+   * Register hooks around the operation pipeline, globally or for some tags / operationIds.
+   */
+  use(hooks: Hooks, scope?: HookScope): void;
+
+  /** Register an onRequest hook. */
+  onRequest(hook: NonNullable<Hooks['onRequest']>, scope?: HookScope): void;
+
+  /** Register a preValidation hook. */
+  preValidation(hook: NonNullable<Hooks['preValidation']>, scope?: HookScope): void;
+
+  /** Register a preHandler hook. */
+  preHandler(hook: NonNullable<Hooks['preHandler']>, scope?: HookScope): void;
+
+  /** Register an onResponse hook. */
+  onResponse(hook: NonNullable<Hooks['onResponse']>, scope?: HookScope): void;
+
+  /** Register an onError hook. */
+  onError(hook: NonNullable<Hooks['onError']>, scope?: HookScope): void;
+
+  /**
+   * Register a request body parser for a media type or range (e.g., 'application/xml', 'text/csv').
+   * Registered parsers take precedence over the built-in JSON, NDJSON, form, text and binary parsers.
+   * @param mediaType Media type or range, e.g. 'application/*+xml'
+   * @param parser Parser function or null to unregister
+   */
+  registerBodyParser(mediaType: string, parser: BodyParser | null): void;
+
+  /**
+   * Mount another instance (another definition) under a path prefix. fetch() and routes() serve its operations;
+   * it falls back to this instance's security handlers, error handler and hooks, and unmatched paths get this instance's 404.
+   * Instances sharing a prefix need a `version` each (an unknown requested version gets a 406 `UNSUPPORTED_VERSION`).
+   */
+  mount(prefix: string, api: BunOpenAPI<any>, options?: MountOptions): void;
+
   /**
    * Register a custom error response formatter.
    */
@@ -135,11 +678,46 @@ declare class BunOpenAPI {
    */
   registerNotFound(handler: NotFoundHandler | null): void;
 
+  /**
+   * Check registered handlers against the OpenAPI definition.
+   * Loads the definition if routes() has not been called yet.
+   */
+  check(): Promise<ContractReport>;
+
+  /**
+   * Generate TypeScript declarations for the definition (also available as `bun-openapi types <definition>`).
+   * Returns the content of a `.d.ts` file exporting component types and an `Operations` interface.
+   */
+  generateTypes(options?: GenerateTypesOptions): Promise<string>;
+
+  /**
+   * Generate a dependency-free ES module client for the definition (also available as `bun-openapi client <definition>`).
+   * The module exports `createClient(options)`, with one method per operationId.
+   */
+  generateClient(options?: GenerateClientOptions): Promise<string>;
+
+  /**
+   * Compile the request validators and return a function validating client requests against them,
+   * with the same rules as the server (errors are in the problem details `errors` format).
+   */
+  requestValidator(): Promise<RequestValidator>;
+
+  /**
+   * Send a request through the built-in router in-process, as fetch() would, and parse the response.
+   */
+  inject(request: InjectRequest): Promise<InjectResponse>;
+
+  /**
+   * Send one request per implemented operation, built from the spec examples, and check the responses
+   * against the documented statuses and schemas. Rejects with an Error carrying `report` on any failure.
+   */
+  testContract(options?: TestContractOptions): Promise<ContractTestReport>;
+
   /**
    * Load the OpenAPI definition and generate routes.
    * Returns a routing map compatible with custom routers or Bun.serve (via manual dispatch).
    */
-  routes(): Promise<{
+  routes(options?: RoutesOptions): Promise<{
     [path: string]: {
       [method in 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH' | 'HEAD' | 'OPTIONS']?: (req: Request) => Promise<Response>;
     } & {
@@ -147,6 +725,16 @@ declare class BunOpenAPI {
       '/*'?: (req: Request) => Promise<Response>;
     };
   }>;
+
+  /**
+   * Handle a request with the built-in router.
+   * A standard fetch handler: use it with `Bun.serve({ fetch: api.fetch })`, inside another app, or in tests.
+   * Routes are generated on the first call if routes() has not been called yet.
+   */
+  fetch(request: Request): Promise<Response>;
+
+  /** Stop watching the definition files (with the `watch` option), so that the process can exit. */
+  close(): void;
 }
 
 export default BunOpenAPI;
\ No newline at end of file
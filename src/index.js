@@ -1,9 +1,111 @@
 //import { parse } from 'yaml' // replaced by swagger-parser
 //import { readFile } from 'node:fs/promises'
 import path from 'node:path'
+import { watch as watchDirectory } from 'node:fs'
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+import { STATUS_CODES } from 'node:http'
 import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
 import SwaggerParser from '@apidevtools/swagger-parser'
+import { publishSpec, renderDocs, toYAML } from './docs.js'
+import { generateFromSchema, hashSeed, parsePrefer, pickExample, pickResponse } from './mock.js'
+import { generateTypes } from './typegen.js'
+import { generateClient } from './clientgen.js'
+import { createJwtVerifier, isJwtScheme, tokenScopes } from './jwt.js'
+
+// Header parameters the OpenAPI spec says SHALL be ignored
+const IGNORED_HEADER_PARAMS = ['accept', 'content-type', 'authorization']
+
+// Operation keys of a path item
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'trace']
+
+// Methods supported by Bun's route map
+const ROUTE_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']
+
+// CORS defaults (see CorsOptions)
+const DEFAULT_CORS = {
+    origin: '*',
+    credentials: undefined, // true for any origin other than '*'
+    allowHeaders: ['Content-Type', 'Authorization'],
+    exposeHeaders: [],
+    maxAge: null,
+    headers: {},
+}
+
+// Error codes clients act on (e.g. refresh an expired token): kept in the default error format,
+// which otherwise hides the code of errors without details
+const CLIENT_ERROR_CODES = new Set(['TOKEN_EXPIRED', 'INVALID_TOKEN', 'CSRF_MISMATCH'])
+
+// CSRF double-submit defaults (see CsrfOptions)
+const DEFAULT_CSRF = {
+    cookieName: 'csrfToken',
+    headerName: 'X-CSRF-Token',
+    cookie: { path: '/', sameSite: 'lax', secure: false },
+}
+
+// Streaming media types validated line by line
+const NDJSON_MEDIA_TYPES = ['application/x-ndjson', 'application/ndjson']
+
+// Methods exempt from CSRF checks
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE']
+
+// Renderings of the docs routes kept per origin (see _addDocsRoutes)
+const DOCS_CACHE_SIZE = 16
+
+// Brand of the results built by BunOpenAPI.result()
+const HANDLER_RESULT = Symbol('BunOpenAPI.result')
+
+// Hook phases, in pipeline order
+const HOOK_PHASES = ['onRequest', 'preValidation', 'preHandler', 'onResponse', 'onError']
+
+// Media types whose body is exposed through context.formData()
+const FORM_MEDIA_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded']
+
+const parseJSON = async (req) => JSON.parse(await req.text())
+
+// Newline-delimited JSON: one value per non-empty line
+const parseNDJSON = async (req) => {
+    const lines = (await req.text()).split(/\r?\n/)
+    return lines.filter(line => line.trim() !== '').map(line => JSON.parse(line))
+}
+
+// Convert Bun's FormData (an iterable) into a standard key-value object
+// that Ajv can validate. Files are usually Bun.file objects.
+const parseForm = async (req) => {
+    const formData = await req.formData()
+    const parsed = {}
+    for (const [key, value] of formData.entries()) {
+        if (key in parsed) {
+            if (!Array.isArray(parsed[key])) {
+                parsed[key] = [parsed[key]] // For multiple files, same field
+            }
+            parsed[key].push(value)
+        } else {
+            parsed[key] = value
+        }
+    }
+    return parsed
+}
+
+// Built-in request body parsers, by media type range
+const BODY_PARSERS = {
+    'application/json': parseJSON,
+    'application/*+json': parseJSON,
+    'application/x-ndjson': parseNDJSON,
+    'application/ndjson': parseNDJSON,
+    'multipart/form-data': parseForm,
+    'application/x-www-form-urlencoded': parseForm,
+    'text/*': (req) => req.text(),
+    '*/*': (req) => req.blob(),
+}
+
+// Delimiters for non-exploded array/object parameter values, by style
+const PARAM_DELIMITERS = {
+    form: ',',
+    simple: ',',
+    spaceDelimited: ' ',
+    pipeDelimited: '|',
+}
 
 /**
  * @file This file contains the definition of the BunOpenAPI class, a middleware router for Bun.
@@ -17,50 +119,223 @@ class BunOpenAPI {
 
     /**
      * @typedef {object} CorsOptions
-     * @property {string} [origin='*'] - The value for the Access-Control-Allow-Origin header.
-     * @property {string} [Access-Control-Allow-Methods] - Comma-separated list of allowed methods.
-     * @property {string} [Access-Control-Allow-Headers] - Comma-separated list of allowed headers.
-     * // ... other custom CORS headers
+     * @property {string|Array<string|RegExp>|RegExp|function(string, Request): (boolean|string|Promise<boolean|string>)} [origin='*'] - Allowed origin(s).
+     * A single string is always sent as is; for a list, RegExp or function the request's `Origin` is echoed back when it matches.
+     * @property {boolean} [credentials] - Sends `Access-Control-Allow-Credentials: true`. Defaults to `true` unless origin is `'*'`.
+     * @property {string|string[]} [allowHeaders=['Content-Type', 'Authorization']] - Request headers allowed in preflight (`'*'` allows any).
+     * Header parameters and API key headers of the operation are always allowed.
+     * @property {string|string[]} [exposeHeaders] - Value of `Access-Control-Expose-Headers`.
+     * @property {number} [maxAge] - Value of `Access-Control-Max-Age` (seconds) on preflight responses.
+     * // Raw `Access-Control-*` keys (e.g. 'Access-Control-Allow-Headers') and other custom headers are also accepted.
+     * // Operations can override these with `x-cors` (an object of the same shape), or disable CORS with `x-cors: false`.
+     */
+
+    /**
+     * @typedef {object} DocsOptions
+     * @property {string|false} [path='/docs'] - Mount path of the HTML API reference, `false` to disable it.
+     * @property {string} [specPath='/openapi'] - The document is served at `${specPath}.json` and `${specPath}.yaml`.
+     * @property {boolean} [excludeInternal=true] - Hide operations (or path items) marked `x-internal: true`.
+     * @property {boolean} [rewriteServers=false] - Rewrite `servers` to the host the request came in on.
+     * @property {boolean} [trustProxy=false] - With `rewriteServers`, take the host from `X-Forwarded-Host`/`-Proto`
+     * (only behind a proxy that sets them: clients can send any value).
+     */
+
+    /**
+     * @typedef {object} CsrfOptions
+     * @property {string} [cookieName='csrfToken'] - Name of the (script-readable) token cookie.
+     * @property {string} [headerName='X-CSRF-Token'] - Request header that must repeat the token; responses carry the current token in it too.
+     * @property {object} [cookie] - Attributes of the token cookie (`path`, `domain`, `sameSite`, `secure`, `maxAge`).
+     * Defaults to `{ path: '/', sameSite: 'lax', secure: false }`; cross-site clients need `{ sameSite: 'none', secure: true }`.
+     */
+
+    /**
+     * @typedef {object} MockOptions
+     * @property {number} [seed=1] - Seed for values generated from response schemas.
      */
 
+    /**
+     * Builds a handler result: a response to serialize against the documented response of `status`.
+     * @param {number} status - HTTP status code (100-599).
+     * @param {*} [body=null] - Body, serialized by the media type of the response.
+     * @param {HeadersInit} [headers] - Response headers; a `Content-Type` selects the documented media type.
+     * @returns {{ status: number, body: *, headers?: HeadersInit }}
+     */
+    static result(status, body = null, headers) {
+        if (!Number.isInteger(status) || status < 100 || status > 599) {
+            throw new Error(`Invalid status ${status}: expected an integer between 100 and 599.`)
+        }
+        const result = { status, body }
+        if (headers !== undefined) result.headers = headers
+        return Object.defineProperty(result, HANDLER_RESULT, { value: true })
+    }
+
     /**
      * Creates an instance of BunOpenAPI.
      * @param {object} options - Configuration options for the middleware.
-     * @param {string|object} options.definition - Filepath of the OpenAPI yaml/json schema (string) or the parsed OpenAPI object (object).
-     * @param {CorsOptions|object} [options.cors] - Overrides or extends default CORS headers.
+     * @param {string|object} [options.definition] - Filepath of the OpenAPI yaml/json schema (string) or the parsed OpenAPI object (object).
+     * Only an instance serving other instances (see `mount()`) may go without one.
+     * @param {CorsOptions|object} [options.cors] - CORS configuration, evaluated per request.
      * @param {boolean} [options.strict=false] - Enables **response validation** against the schema.
      * @param {boolean} [options.development=true] - Shows detailed validation errors in error responses.
+     * @param {boolean|DocsOptions} [options.docs=false] - Serves the OpenAPI document and a built-in API reference page.
+     * @param {boolean|MockOptions} [options.mock=false] - Answers unimplemented operations from spec examples.
+     * Individual operations can opt in (or out) with `x-mock: true` (or `false`).
+     * @param {'default'|'problem'} [options.errorFormat='default'] - `'problem'` sends errors as RFC 9457 `application/problem+json`.
+     * @param {'reject'|'remove'|'ignore'} [options.readOnly='ignore'] - What to do with `readOnly` properties sent in request bodies.
+     * @param {'flag'|'remove'|'ignore'} [options.writeOnly='flag'] - What to do with `writeOnly` properties in JSON responses.
+     * `'flag'` reports them through response validation (`strict: true`), `'remove'` strips them from the response.
+     * @param {boolean} [options.removeAdditional=false] - Removes properties not declared in the schema from request bodies
+     * (object schemas without `additionalProperties`; members of `allOf`/`anyOf`/`oneOf` are left alone).
+     * @param {boolean} [options.useDefaults=false] - Fills in schema `default` values for missing parameters and body properties (nested objects included).
+     * @param {object} [options.jwt] - Verifies `bearerFormat: JWT` and `openIdConnect` tokens locally (see `JwtOptions` in index.d.ts).
+     * @param {boolean|CsrfOptions} [options.csrf=false] - Double-submit CSRF protection for operations marked `x-csrf: true`
+     * and unsafe methods of cookie-authenticated operations (`x-csrf: false` opts out).
+     * @param {boolean} [options.notAcceptable=false] - Answers 406 when the `Accept` header matches none of the media types
+     * of an operation's success responses (`x-not-acceptable: true|false` per operation).
+     * @param {boolean} [options.watch=false] - Reloads the definition file when it, or a file it `$ref`s, changes.
+     * The registered handlers are kept; requests must be dispatched by `fetch()` to see the new routes.
      */
     constructor({ 
         definition, 
         cors,
         strict = false, // Response validation
         development = true, // Detailed error message
+        docs = false, // Serve spec and API reference
+        mock = false, // Mock unimplemented operations
+        errorFormat = 'default', // 'default' or 'problem' (RFC 9457)
+        readOnly = 'ignore', // readOnly properties in requests: 'reject', 'remove' or 'ignore'
+        writeOnly = 'flag', // writeOnly properties in responses: 'flag', 'remove' or 'ignore'
+        removeAdditional = false, // Strip undeclared properties from request bodies
+        useDefaults = false, // Fill in schema defaults for parameters and bodies
+        jwt = null, // Verify bearer JWT and openIdConnect tokens locally
+        csrf = false, // Double-submit CSRF protection
+        notAcceptable = false, // 406 when no declared response media type is acceptable
+        watch = false, // Reload the definition when its files change (development)
     }) {
         this.definition = definition          // path or object
         this.operations = new Map()           // operationId → handler
         this.securityHandlers = new Map()     // schemeName → handler
+        this.securitySchemes = {}             // schemeName → components.securitySchemes entry
+        this.jwtOptions = jwt
+        this._verifyJwt = null                // token → claims, created by routes() when `jwt` is set
+        this.bodyParsers = new Map()          // mediaType → parser
+        this.hooks = Object.fromEntries(HOOK_PHASES.map(phase => [phase, []])) // phase → [{ fn, scope }]
         this.spec = null
 
         this.strictResponseValidation = strict
         this.development = development
+        this.notAcceptable = notAcceptable
+
+        this.docsOptions = docs
+            ? {
+                path: '/docs',
+                specPath: '/openapi',
+                excludeInternal: true,
+                rewriteServers: false,
+                trustProxy: false,
+                ...(typeof docs === 'object' ? docs : {}),
+            }
+            : null
+
+        this.mockEnabled = Boolean(mock)
+        this.mockSeed = (typeof mock === 'object' ? mock.seed : undefined) ?? 1
 
         this._errorHandler = null
         this._notFoundHandler = null
 
+        // Instances mounted under a prefix (see mount()), and the instance this one is mounted on
+        this._mounts = []                     // [{ prefix, segments, api, version, default }], longest prefix first
+        this._parent = null
+        this.errorFormat = errorFormat
+
+        // Built-in router used by fetch(), compiled by routes()
+        this._router = null
+        this._routesPromise = null
+        this._operationRoutes = new Map()
+        this.fetch = this.fetch.bind(this)
+
+        // Hot reload of the definition files (see _watchDefinition)
+        this.watch = watch
+        this._definitionFiles = []            // definition file and the files it $refs
+        this._watchers = new Map()            // directory → FSWatcher
+        this._watchedFiles = new Map()        // directory → Set of watched file names
+        this._reloadTimer = null
+        this._reloading = Promise.resolve()
+
+        if (watch && typeof definition !== 'string') {
+            console.warn('The "watch" option needs the path of the definition file: it is ignored for definition objects.')
+        }
+
+        // readOnly / writeOnly handling and body stripping
+        this.readOnlyMode = readOnly
+        this.writeOnlyMode = writeOnly
+
+        // Validation options of the Ajv instances each routes() call compiles into (see _createValidatorSet)
+        this.useDefaults = useDefaults
+        this.removeAdditional = removeAdditional
+
+        this.corsOptions = this._normalizeCors(cors || {}, DEFAULT_CORS)
+
+        this.csrfOptions = csrf
+            ? {
+                ...DEFAULT_CSRF,
+                ...(typeof csrf === 'object' ? csrf : {}),
+                cookie: { ...DEFAULT_CSRF.cookie, ...csrf.cookie },
+            }
+            : null
+
+        // Cross-origin clients cannot read the token cookie: they read the token from the response header
+        if (this.csrfOptions) {
+            this.corsOptions.exposeHeaders = [...this.corsOptions.exposeHeaders, this.csrfOptions.headerName]
+        }
+    }
+
+    // Helper to create the Ajv instances of one compilation of the definition.
+    // Requests and responses validate against their own variant of the component schemas:
+    // readOnly properties are not expected in requests, writeOnly properties not in responses
+    _createValidatorSet(doc) {
+        const requestOptions = {
+            useDefaults: this.useDefaults,
+            keyword: 'readOnly',
+            mode: this.readOnlyMode,
+            message: 'must not be sent by the client (readOnly)',
+        }
+        const responseOptions = {
+            keyword: 'writeOnly',
+            mode: this.writeOnlyMode === 'flag' ? 'reject' : this.writeOnlyMode,
+            message: 'must not be returned by the server (writeOnly)',
+        }
+        const request = this._createAjv(requestOptions)
+        return {
+            // The definition compiled: the $refs of its schemas resolve against it
+            doc,
+            request,
+            // Request bodies only: removeAdditional strips what `additionalProperties: false` excludes (see _closeObjects)
+            body: this.removeAdditional ? this._createAjv({ ...requestOptions, removeAdditional: true }) : request,
+            // JSON response bodies are not coerced: `{ n: 5 }` against `n: string` is a contract violation
+            response: this._createAjv({ ...responseOptions, coerceTypes: false }),
+            // Response headers and text bodies are strings, coerced to their schema type
+            responseText: this._createAjv(responseOptions),
+        }
+    }
+
+    // Helper to create an Ajv instance with the OpenAPI formats and a readOnly/writeOnly keyword.
+    // mode 'reject' fails validation when the property is present, 'remove' deletes it, 'ignore' keeps it.
+    _createAjv({ removeAdditional = false, useDefaults = false, coerceTypes = true, keyword, mode, message }) {
         // strict: false (OpenAPI has extra keywords Ajv doesn't know)
         // coerceTypes: true (converts ?limit=10 string to integer)
-        this.ajv = new Ajv({ strict: false, coerceTypes: true, allErrors: true })
-        addFormats(this.ajv)
+        // useDefaults: assigns `default` values of missing properties (validated data is filled in place)
+        const ajv = new Ajv({ strict: false, coerceTypes, allErrors: true, removeAdditional, useDefaults })
+        addFormats(ajv)
         
         // Accept File for "string"/"binary"
-        this.ajv.addFormat('binary', {
+        ajv.addFormat('binary', {
             type: 'string',
             validate: (value) => value instanceof File
         })
 
         // Add base64
-        this.ajv.addFormat('base64', {
+        ajv.addFormat('base64', {
             type: 'string',
             validate: (str) => {
                 let raw = str
@@ -78,49 +353,36 @@ class BunOpenAPI {
             }
         })
 
-        const defaultCors = {
-            //'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, PATCH, OPTIONS',
-            //'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-CSRF-TOKEN',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-        }
-
-        if (cors) {
-            /*const userCors = { ...cors }
-            if ('origin' in userCors) {
-                defaultCors['Access-Control-Allow-Origin'] = cors.origin
-                defaultCors['Access-Control-Allow-Credentials'] = 'true'
-                delete userCors.origin
-            }*/
-
-            if (cors.origin === '*') {
-                // Safe wildcard mode
-                defaultCors['Access-Control-Allow-Origin'] = '*'
-            } else if (cors.origin) {
-                // Specific origin(s) — support credentials
-                defaultCors['Access-Control-Allow-Origin'] = cors.origin
-                defaultCors['Access-Control-Allow-Credentials'] = 'true'
-                defaultCors['Vary'] = 'Origin'
-            } else {
-                // No origin specified → inherit wildcard
-                defaultCors['Access-Control-Allow-Origin'] = '*'
-            }
-
-            // Allow full override if they want
-            this.CORS_HEADERS = { ...defaultCors, ...cors }
-        } else {
-            this.CORS_HEADERS = {
-                'Access-Control-Allow-Origin': '*',
-                ...defaultCors
-            }
+        if (mode !== 'ignore') {
+            ajv.removeKeyword(keyword)
+            ajv.addKeyword({
+                keyword,
+                modifying: true,
+                errors: true,
+                validate: function check(flag, data, parentSchema, dataCxt) {
+                    // Only object properties are checked
+                    const parent = dataCxt?.parentData
+                    if (flag !== true || !parent || Array.isArray(parent)) return true
+
+                    if (mode === 'remove') {
+                        delete parent[dataCxt.parentDataProperty]
+                        return true
+                    }
+                    check.errors = [{ keyword, message, params: { [keyword]: true } }]
+                    return false
+                }
+            })
         }
+
+        return ajv
     }
 
     /**
      * Registers the main handler function for an OpenAPI operationId.
      * @param {string} operationId - The unique `operationId` from the OpenAPI schema.
-     * @param {function(object, object): (Response|Promise<Response>)} handler - The asynchronous function callback to handle the request.
+     * @param {function(object, object): (Response|object|Promise<Response|object>)} handler - The asynchronous function callback to handle the request.
      * The function receives `context` (request data) and `securityContext` (auth data). Use `null` to unregister.
+     * It returns a `Response`, a `{ status, body, headers }` result, or the body of the first documented 2xx response.
      */
     register(operationId, handler) {
         if (!operationId || typeof operationId !== 'string') {
@@ -138,9 +400,14 @@ class BunOpenAPI {
 
     /**
      * Registers a handler function for an OpenAPI Security Scheme.
+     * The credential is extracted according to `components.securitySchemes`: the value of an `apiKey`
+     * (header, query or cookie), `{ username, password }` for `http` basic, or the token for `http` bearer,
+     * `oauth2` and `openIdConnect`. Requests without the credential get a 401 without calling the handler.
      * @param {string} schemeName - The name of the security scheme (e.g., 'BearerAuth', 'apiKey').
-     * @param {function(object, string[], object): (boolean|Response|Promise<boolean|Response>)} handler - The asynchronous function callback for authorization.
-     * Returns `true` for success, a `Response` object for custom errors (e.g., 401), or `false` for default 401/403.
+     * @param {function(*, string[], object, object): (boolean|string[]|Response|Promise<boolean|string[]|Response>)} handler - The asynchronous function callback for authorization.
+     * Receives the credential, the required scopes, `securityContext` and `context`.
+     * Returns `true` for success, the granted scopes (checked against the required ones, 403 if one is missing),
+     * a `Response` object for custom errors (e.g., 401), or `false` for default 401/403.
      */
     registerSecurity(schemeName, handler) {
         if (!schemeName || typeof schemeName !== 'string') {
@@ -156,10 +423,160 @@ class BunOpenAPI {
         }
     }
 
+    /**
+     * Registers hooks around the operation pipeline:
+     * `onRequest` → (body parsing) → `preValidation` → (validation, security) → `preHandler` → (handler) → `onResponse`,
+     * with `onError` for errors thrown by hooks or the handler.
+     *
+     * `onRequest`, `preValidation` and `preHandler` can short-circuit the pipeline by returning a `Response`.
+     * `onResponse` can replace the response by returning a new one, and `onError` can answer with a `Response`.
+     * Hooks run in registration order.
+     * @param {object} hooks - Object mapping phase names to hook functions.
+     * @param {function(object): (void|Response|Promise<void|Response>)} [hooks.onRequest] - Receives `context`, before the body is parsed.
+     * @param {function(object): (void|Response|Promise<void|Response>)} [hooks.preValidation] - Receives `context` with the parsed body, before validation.
+     * @param {function(object, object): (void|Response|Promise<void|Response>)} [hooks.preHandler] - Receives `context` and `securityContext`, after security checks.
+     * @param {function(object, Response, object): (void|Response|Promise<void|Response>)} [hooks.onResponse] - Receives `context`, the `Response` and `securityContext`.
+     * @param {function(object, Error, object): (void|Response|Promise<void|Response>)} [hooks.onError] - Receives `context`, the error and `securityContext`.
+     * @param {object} [scope] - Limits the hooks to some operations. Omit for global hooks.
+     * @param {string|string[]} [scope.tag] - Operations with any of these tags.
+     * @param {string|string[]} [scope.operationId] - Operations with any of these operationIds.
+     */
+    use(hooks, scope) {
+        if (!hooks || typeof hooks !== 'object') {
+            throw new Error('hooks must be an object of phase functions')
+        }
+
+        const normalized = scope
+            ? {
+                tags: [].concat(scope.tag ?? []),
+                operationIds: [].concat(scope.operationId ?? []),
+            }
+            : null
+
+        for (const phase in hooks) {
+            if (!HOOK_PHASES.includes(phase)) {
+                throw new Error(`Unknown hook phase "${phase}". Expected one of: ${HOOK_PHASES.join(', ')}`)
+            }
+            if (typeof hooks[phase] !== 'function') {
+                throw new Error(`${phase} hook must be a function`)
+            }
+            this.hooks[phase].push({ fn: hooks[phase], scope: normalized })
+        }
+    }
+
+    /**
+     * Registers an `onRequest` hook. See {@link BunOpenAPI#use}.
+     * @param {function(object): (void|Response|Promise<void|Response>)} hook
+     * @param {object} [scope] - `{ tag, operationId }`
+     */
+    onRequest(hook, scope) {
+        this.use({ onRequest: hook }, scope)
+    }
+
+    /**
+     * Registers a `preValidation` hook. See {@link BunOpenAPI#use}.
+     * @param {function(object): (void|Response|Promise<void|Response>)} hook
+     * @param {object} [scope] - `{ tag, operationId }`
+     */
+    preValidation(hook, scope) {
+        this.use({ preValidation: hook }, scope)
+    }
+
+    /**
+     * Registers a `preHandler` hook. See {@link BunOpenAPI#use}.
+     * @param {function(object, object): (void|Response|Promise<void|Response>)} hook
+     * @param {object} [scope] - `{ tag, operationId }`
+     */
+    preHandler(hook, scope) {
+        this.use({ preHandler: hook }, scope)
+    }
+
+    /**
+     * Registers an `onResponse` hook. See {@link BunOpenAPI#use}.
+     * @param {function(object, Response, object): (void|Response|Promise<void|Response>)} hook
+     * @param {object} [scope] - `{ tag, operationId }`
+     */
+    onResponse(hook, scope) {
+        this.use({ onResponse: hook }, scope)
+    }
+
+    /**
+     * Registers an `onError` hook. See {@link BunOpenAPI#use}.
+     * @param {function(object, Error, object): (void|Response|Promise<void|Response>)} hook
+     * @param {object} [scope] - `{ tag, operationId }`
+     */
+    onError(hook, scope) {
+        this.use({ onError: hook }, scope)
+    }
+
+    /**
+     * Registers a parser for a request body media type (e.g., XML or CSV).
+     * Parsers are matched against the request's `Content-Type`, the most specific match wins
+     * and registered parsers take precedence over the built-in ones.
+     * @param {string} mediaType - The media type or range (e.g., 'application/xml', 'text/*', 'application/*+xml').
+     * @param {function(Request, string): (any|Promise<any>)} parser - Receives the `Request` and its `Content-Type`, returns the parsed body.
+     * Throwing an error rejects the request with a 400. Use `null` to unregister.
+     */
+    registerBodyParser(mediaType, parser) {
+        if (!mediaType || typeof mediaType !== 'string') {
+            throw new Error('mediaType must be a string')
+        }
+        if (parser !== null && typeof parser !== 'function') {
+            throw new Error('parser must be a function or null')
+        }
+        if (parser === null) {
+            this.bodyParsers.delete(this._essence(mediaType))
+        } else {
+            this.bodyParsers.set(this._essence(mediaType), parser)
+        }
+    }
+
+    /**
+     * Mounts another instance (another definition) under a path prefix, e.g. `/v1` and `/v2`.
+     * fetch() and routes() of this instance then serve the mounted operations too. A mounted instance
+     * falls back to the security handlers, error handler and hooks of this one, and paths that no
+     * instance has get this instance's 404. This instance does not need a definition of its own.
+     * Instances sharing a prefix each serve a `version`, picked by the `Accept-Version` header or the
+     * `version` parameter of an Accept media type; an unknown version gets a 406 `UNSUPPORTED_VERSION`.
+     * @param {string} prefix - Path prefix ('' or '/' for none).
+     * @param {BunOpenAPI} api - The instance to mount.
+     * @param {object} [options]
+     * @param {string} [options.version] - Version served by this instance under the prefix.
+     * @param {boolean} [options.default=false] - Serves the requests that ask for no version (otherwise the first mounted one does).
+     * @throws {Error} If `api` is this instance or already mounted, or the prefix (and version) is taken.
+     */
+    mount(prefix, api, { version = null, default: isDefault = false } = {}) {
+        if (!(api instanceof BunOpenAPI) || api === this) {
+            throw new Error('api must be another BunOpenAPI instance')
+        }
+        if (api._parent) {
+            throw new Error('This instance is already mounted')
+        }
+        if (typeof prefix !== 'string' || (prefix !== '' && !prefix.startsWith('/'))) {
+            throw new Error('prefix must be a path starting with "/"')
+        }
+
+        const normalized = prefix.replace(/\/+$/, '')
+        const mountVersion = version === null ? null : String(version)
+        const siblings = this._mounts.filter(mount => mount.prefix === normalized)
+
+        if (siblings.some(mount => mount.version === null) || (siblings.length > 0 && mountVersion === null)) {
+            throw new Error(`Instances sharing the prefix "${prefix || '/'}" need a version each`)
+        }
+        if (siblings.some(mount => mount.version === mountVersion)) {
+            throw new Error(`Version ${mountVersion} is already mounted at "${prefix || '/'}"`)
+        }
+
+        api._parent = this
+        this._mounts.push({ prefix: normalized, segments: normalized.split('/').filter(Boolean), api, version: mountVersion, default: isDefault })
+        this._mounts.sort((a, b) => b.segments.length - a.segments.length)
+    }
+
     /**
      * Registers a custom handler for internal framework errors (e.g., validation failures, 500s).
      * @param {function(object): (object|Response|Promise<object|Response>)} handler - The function callback to format the error response body.
-     * Receives an error object `{status, code, message, details}`.
+     * Receives an error object `{status, code, message, details, errors, request, operationId}`
+     * (`request` is the incoming Request, `operationId` is null outside of an operation).
      * Can return a custom plain object (which will be JSON-wrapped) or a Bun `Response` object.
      */
     registerErrorHandler(handler) {
@@ -181,73 +598,253 @@ class BunOpenAPI {
         }
     }
 
+    /**
+     * @typedef {object} ContractReport
+     * @property {boolean} ok - `true` when no problem was found.
+     * @property {string[]} unknownOperations - Registered operationIds that do not exist in the spec (e.g., typos).
+     * @property {{operationId: string, method: string, path: string}[]} unimplementedOperations - Operations without a registered handler.
+     * @property {{scheme: string, operations: string[]}[]} missingSecurityHandlers - Security schemes referenced by operations but not registered via `registerSecurity`.
+     * @property {{method: string, path: string}[]} missingOperationIds - Operations without an `operationId` (no route is generated for them).
+     * @property {{route: string, paths: string[], methods: string[]}[]} routeConflicts - OpenAPI paths that resolve to the same route and define the same methods.
+     */
+
+    /**
+     * Checks the registered handlers against the OpenAPI definition.
+     * Loads the definition first if `routes()` has not been called yet.
+     * @async
+     * @returns {Promise<ContractReport>} A structured report, e.g. to fail a CI job when `ok` is `false`.
+     */
+    async check() {
+        const doc = this.spec ?? (await this._loadDefinition()).doc
+        return this._buildReport(doc)
+    }
+
+    /**
+     * Generates TypeScript declarations for the definition: one entry per operationId
+     * with its params, query, headers, cookies and body types, and a union of `{ status, body }` responses.
+     * Use the result with `new BunOpenAPI<Operations>(...)` to type `register()` handlers.
+     * @async
+     * @param {object} [options]
+     * @param {boolean} [options.useDefaults] - Fields with a schema `default` are not optional. Defaults to the instance's `useDefaults`.
+     * @param {string} [options.name='Operations'] - Name of the exported operations interface.
+     * @returns {Promise<string>} The content of a `.d.ts` file.
+     */
+    async generateTypes({ useDefaults = this.useDefaults, name = 'Operations' } = {}) {
+        const doc = await this._bundleDefinition()
+        return generateTypes(doc, { useDefaults, name })
+    }
+
+    /**
+     * Generates a dependency-free ES module client for the definition: one method per operationId,
+     * with path templating, style-aware query serialization, JSON/multipart bodies and security scheme injection.
+     * @async
+     * @param {object} [options]
+     * @param {string} [options.types] - Module path of the declarations from `generateTypes()` (e.g. './api-types'), used in JSDoc.
+     * @returns {Promise<string>} The source of the client module.
+     */
+    async generateClient({ types } = {}) {
+        const doc = await this._bundleDefinition()
+        return generateClient(doc, { types })
+    }
+
+    /**
+     * Returns a function validating client requests with the same compiled validators as the server,
+     * to pass as `validate` to a generated client (`createClient({ validate })`).
+     * The function returns the list of problems (`{ pointer, parameter, in, message }`), empty when valid.
+     * The caller's data is not modified.
+     * @async
+     * @returns {Promise<function(string, object): object[]>}
+     */
+    async requestValidator() {
+        await this._ensureRoutes()
+        return (operationId, request) => this._validateClientRequest(operationId, request)
+    }
+
+    /**
+     * Sends a request through the built-in router in-process (no server, no network), as `fetch()` would.
+     * @async
+     * @param {object} request
+     * @param {string} [request.method='GET']
+     * @param {string} request.url - A path such as `/users/42?fields=name`, or an absolute URL.
+     * @param {HeadersInit} [request.headers]
+     * @param {*} [request.body] - Plain objects and arrays are sent as JSON; strings, `FormData`, `Blob` and `URLSearchParams` as is.
+     * @param {object<string, string>} [request.cookies] - Sent in the `Cookie` header.
+     * @returns {Promise<{status: number, headers: Headers, body: *}>} The body is parsed for JSON media types, text otherwise (`null` when empty).
+     */
+    async inject(options = {}) {
+        const { text, ...response } = await this._inject(options)
+        return response
+    }
+
+    // inject(), also returning the text of the response body (see _contractFailures)
+    async _inject({ method = 'GET', url, headers, body, cookies } = {}) {
+        const requestHeaders = new Headers(headers)
+
+        if (cookies && Object.keys(cookies).length > 0) {
+            const cookie = Object.entries(cookies).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ')
+            const existing = requestHeaders.get('cookie')
+            requestHeaders.set('Cookie', existing ? `${existing}; ${cookie}` : cookie)
+        }
+
+        let payload = body
+        const isRaw = typeof body === 'string' || body instanceof FormData || body instanceof Blob
+            || body instanceof URLSearchParams || body instanceof ArrayBuffer || ArrayBuffer.isView(body)
+        if (body !== undefined && body !== null && !isRaw) {
+            payload = JSON.stringify(body)
+            if (!requestHeaders.has('content-type')) requestHeaders.set('Content-Type', 'application/json')
+        }
+
+        const response = await this.fetch(new Request(new URL(url, 'http://localhost'), {
+            method: method.toUpperCase(),
+            headers: requestHeaders,
+            body: payload ?? undefined,
+        }))
+
+        const text = await response.text()
+        const contentType = response.headers.get('content-type') || ''
+        let parsed = text === '' ? null : text
+        if (parsed !== null && this._isJsonMediaType(contentType)) {
+            try {
+                parsed = JSON.parse(text)
+            } catch {
+                // Keep the text of a malformed JSON body
+            }
+        }
+
+        return { status: response.status, headers: response.headers, body: parsed, text }
+    }
+
+    /**
+     * Contract test: sends one request per implemented operation, built from the spec examples
+     * (parameter and request body `example`/`examples`, else values generated from the schemas),
+     * and checks each response against the documented status codes and response schemas.
+     * Operations without a handler are skipped unless they are mocked.
+     * @async
+     * @param {object} [options]
+     * @param {HeadersInit} [options.headers] - Headers sent with every request (e.g. credentials).
+     * @param {object<string, string>} [options.cookies] - Cookies sent with every request.
+     * @param {object<string, {params?: object, query?: object, headers?: object, cookies?: object, body?: *}>} [options.requests]
+     * Per-operationId overrides of the generated request.
+     * @returns {Promise<{ok: boolean, results: {operationId: string, method: string, path: string, status: number, failures: string[]}[], skipped: string[]}>}
+     * @throws {Error} If a response has an undocumented status or violates its schema. The error carries the report as `error.report`.
+     */
+    async testContract({ headers = {}, cookies = {}, requests = {} } = {}) {
+        await this._ensureRoutes()
+
+        const report = { ok: true, results: [], skipped: [] }
+
+        for (const [operationId, route] of this._operationRoutes) {
+            const mocked = route.operation['x-mock'] ?? this.mockEnabled
+            if (!this.operations.has(operationId) && !mocked) {
+                report.skipped.push(operationId)
+                continue
+            }
+
+            const request = this._exampleRequest(route, requests[operationId] || {})
+            const response = await this._inject({
+                method: route.method,
+                url: request.url,
+                headers: { ...Object.fromEntries(new Headers(headers)), ...request.headers },
+                cookies: { ...cookies, ...request.cookies },
+                body: request.body,
+            })
+
+            report.results.push({
+                operationId,
+                method: route.method,
+                path: route.openApiPath,
+                status: response.status,
+                failures: this._contractFailures(route, response),
+            })
+        }
+
+        report.ok = report.results.every(result => result.failures.length === 0)
+
+        if (!report.ok) {
+            const lines = report.results.flatMap(({ operationId, method, path, failures }) =>
+                failures.map(failure => `- ${operationId} (${method} ${path}): ${failure}`))
+            const error = new Error(`Contract test failed:\n${lines.join('\n')}`)
+            error.report = report
+            throw error
+        }
+
+        return report
+    }
+
     /**
      * Loads the OpenAPI definition, compiles validators, and returns a routing object map
      * compatible with Bun's `Bun.serve` or a similar router.
      * @async
+     * @param {object} [options]
+     * @param {boolean} [options.requireAll=false] - Throws if the contract check finds a problem (see `check()`).
+     * The thrown error carries the report as `error.report`.
      * @returns {Promise<object<string, object<string, function(Request): Promise<Response>>>>} An object mapping Bun paths to an object of HTTP methods and their Bun handler functions.
-     * @throws {Error} If the OpenAPI definition file cannot be read or is invalid.
+     * @throws {Error} If the OpenAPI definition file cannot be read or is invalid, or `requireAll` is set and the contract check fails.
      */
-    async routes() {
-        let doc
+    async routes({ requireAll = false } = {}) {
+        const { doc, files } = await this._loadDefinition()
 
-        if (typeof this.definition === 'string') {
-            const filePath = path.resolve(this.definition) // Resolve the path
-            try {
-                // Read the file asynchronously. 'utf8' ensures text decoding.
-                //const text = await readFile(filePath, 'utf8')
-                //doc = parse(text)
+        const report = this._buildReport(doc)
 
-                // This should improve $ref support
-                doc = await SwaggerParser.dereference(filePath)
-            } catch (error) {
-                console.error(`Error reading or parsing OpenAPI definition file: ${filePath}`, error)
-                throw new Error(`Failed to load OpenAPI definition: ${error.message}`)
-            }
-        } else if (typeof this.definition === 'object' && this.definition !== null) {
-            // If the definition is passed as an object, use it directly
-            doc = this.definition
-        } else {
-            throw new Error('Invalid definition provided. Must be a file path (string) or an OpenAPI object.')
+        if (requireAll && !report.ok) {
+            const error = new Error(`OpenAPI contract check failed:\n${this._formatReport(report)}`)
+            error.report = report
+            throw error
         }
 
-        this.spec = doc
+        for (const { route, paths, methods } of report.routeConflicts) {
+            console.warn(`Route conflict! ${methods.join(', ')} ${paths.map(p => `"${p}"`).join(' and ')} map to "${route}"`)
+        }
+
+        // Fresh Ajv instances: a failed compilation (e.g. a bad reload) leaves the served validators untouched,
+        // and components removed from the definition are not kept registered
+        const ajv = this._createValidatorSet(doc)
 
         // Get the map of all defined schemas (where Ajv needs to look for $refs)
         const componentSchemas = doc.components?.schemas
+        // Components used as allOf/anyOf/oneOf members stay open with removeAdditional
+        const openComponents = this.removeAdditional ? this._compositionMembers(doc) : new Set()
         if (componentSchemas) {
             // Add each schema individually to Ajv, using the key as the schema ID.
             for (const schemaName in componentSchemas) {
                 const schema = componentSchemas[schemaName]
-                const patched = this._rewriteRefs({ ...schema })
-                this._patchBinaryTypes(patched)
-                this.ajv.addSchema(patched, schemaName)
+                ajv.request.addSchema(this._prepareSchema(schema, 'request', doc), schemaName)
+                if (ajv.body !== ajv.request) {
+                    ajv.body.addSchema(this._closeObjects(this._prepareSchema(schema, 'request', doc), openComponents.has(schemaName)), schemaName)
+                }
+                ajv.response.addSchema(this._prepareSchema(schema, 'response', doc), schemaName)
+                ajv.responseText.addSchema(this._prepareSchema(schema, 'response', doc), schemaName)
             }
         }
 
+        const securitySchemes = doc.components?.securitySchemes || {}
+        const verifyJwt = this.jwtOptions ? await createJwtVerifier(this.jwtOptions) : null
+
         const globalSecurity = doc.security || []
         const routes = {}
-
-        // Pre-build to detect conflicts
-        const pathMap = new Map() // bunPath → original OpenAPI path
-        
-        for (const openApiPath in doc.paths) {
-            const bunPath = openApiPath.replace(/{([^}]+)}/g, ":$1")
-            if (routes[bunPath] && pathMap.get(bunPath) !== openApiPath) {
-                console.warn(`Route conflict! Both "${pathMap.get(bunPath)}" and "${openApiPath}" map to "${bunPath}"`)
-                // You can choose to throw or prefer one
-            }
-            pathMap.set(bunPath, openApiPath)
-        }
+        const router = [] // entries for fetch(): { segments, absolute, methods }
+        const operationRoutes = new Map()
+        // /users/{id} and /users/{userId} share one router entry: each defines its own methods
+        const shapes = new Map() // route shape → { entry, bunPaths }
 
         for (const openApiPath in doc.paths) {
             const pathItem = doc.paths[openApiPath]
             const bunPath = openApiPath.replace(/{([^}]+)}/g, ":$1")
+            const segments = this._compilePathTemplate(openApiPath)
 
             if (!routes[bunPath]) routes[bunPath] = {}
+
+            const shape = openApiPath.replace(/{[^}]+}/g, '{}')
+            if (!shapes.has(shape)) {
+                const entry = { segments, absolute: false, methods: {}, cors: {} }
+                router.push(entry)
+                shapes.set(shape, { entry, bunPaths: new Set() })
+            }
+            const { entry, bunPaths } = shapes.get(shape)
+            bunPaths.add(bunPath)
             
             for (const method in pathItem) {
-                if (!['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'trace'].includes(method)) {
+                if (!HTTP_METHODS.includes(method)) {
                     continue
                 }
     
@@ -263,321 +860,1828 @@ class BunOpenAPI {
                 }
 
                 // Pre-compile validators for this specific route
-                const validators = this._compileValidators(operation)
+                const validators = this._compileValidators(operation, ajv, this._operationParameters(pathItem, operation, doc))
     
                 const effectiveSecurity = operation.security ?? globalSecurity
     
-                routes[bunPath][upper] = async (req) => {
-                    
-                    // Extract params
-                    let params = req.params || {}
-
-                    // Fallback path parameter extraction if req.params is not populated by the outer router
-                    if (Object.keys(params).length === 0) {
-
-                        const url = new URL(req.url)
-                        const pathSegments = url.pathname.split('/').filter(Boolean)
-                        const templateSegments = openApiPath.split('/').filter(Boolean)
-
-                        params = {}
-                        for (let i = 0; i < templateSegments.length; i++) {
-                            if (templateSegments[i].startsWith('{') && templateSegments[i].endsWith('}')) {
-                                const paramName = templateSegments[i].slice(1, -1)
-                                params[paramName] = pathSegments[i]
-                            } else if (templateSegments[i].startsWith(':')) {
-                                const paramName = templateSegments[i].slice(1)
-                                params[paramName] = pathSegments[i]
-                            }
-                        }
-                    }
+                const route = {
+                    operationId,
+                    method: upper,
+                    path: bunPath,
+                    openApiPath,
+                    segments,
+                    tags: operation.tags || [],
+                    operation,
+                    validators,
+                    security: effectiveSecurity,
+                }
+                // Protected operations check the token on unsafe methods and hand it out on safe ones
+                const csrf = this._operationCsrf(route, securitySchemes)
+                route.csrf = csrf && !SAFE_METHODS.includes(upper)
+                route.csrfIssue = csrf && SAFE_METHODS.includes(upper)
+                route.mediaTypes = this._successMediaTypes(validators)
+                route.successStatus = this._successStatus(validators)
+                route.notAcceptable = Boolean(operation['x-not-acceptable'] ?? this.notAcceptable) && route.mediaTypes.length > 0
+                route.cors = this._operationCors(doc, route)
+                operationRoutes.set(operationId, route)
+
+                // The same method on two paths of a shape is a route conflict (see _buildReport): the first one wins
+                if (entry.methods[upper]) continue
+
+                // Params matched against another template of the shape are read again from the URL
+                entry.methods[upper] = (req, params) => this._handleOperation(route, req, entry.segments === segments ? params : undefined)
+                entry.cors[upper] = route.cors
+            }
+        }
 
-                    const securityContext = {}
-                    const context = {
-                        // Attach common Request properties
-                        headers: req.headers,
-                        url: req.url,
-                        method: req.method,
-                        
-                        // Path Parameters
-                        params: params,
-                        
-                        // Query Parameters
-                        query: {},
-                        
-                        // Body
-                        body: null,
-                        
-                        // Cookies
-                        cookies: {}
-                    }
+        for (const { entry, bunPaths } of shapes.values()) {
+            // Automatic HEAD (from GET) and OPTIONS, and 405 for methods no path item of the shape defines
+            this._completeMethods(entry.methods, entry.cors)
 
-                    // Parse Query Parameters
-                    const url = new URL(req.url)
-                    const queryParams = Object.fromEntries(url.searchParams.entries())
-                    context.query = queryParams
+            for (const bunPath of bunPaths) {
+                for (const method in entry.methods) {
+                    routes[bunPath][method] = (req) => entry.methods[method](req)
+                }
+                for (const method of ROUTE_METHODS) {
+                    routes[bunPath][method] ??= (req) => this._methodNotAllowed(req, Object.keys(entry.methods))
+                }
+            }
+        }
 
-                    // Parse Cookies
-                    context.cookies = this._parseCookies(req)
+        if (this.docsOptions) {
+            await this._addDocsRoutes(routes, router, doc)
+        }
 
-                    // A. Validate Query Parameters
-                    if (validators.query) {
-                        const valid = validators.query(queryParams)
-                        if (!valid) {
-                            return this._createErrorResponse(400, 'ERR_VALIDATION', 'Query validation failed', validators.query.errors)
-                        }
-                    }
-                    // B. Validate Path Parameters
-                    // (Bun puts path params in req.params, but we need to check if they match schema)
-                    if (validators.path && context.params) {
-                        const valid = validators.path(context.params)
-                        if (!valid) {
-                            return this._createErrorResponse(400, 'ERR_VALIDATION', 'Path validation failed', validators.path.errors)
-                        }
-                    }
-                    // C. Validate Body
-                    let parsedBody = null
-                    if (validators.body) {
-
-                        const contentType = req.headers.get('Content-Type') || ''
-                        
-                        try {
-
-                            if (contentType.includes('application/json')) {
-                                parsedBody = await req.json()
-                            } else if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
-                                
-                                const formData = await req.formData()
-                                // Convert Bun's FormData (an iterable) into a standard key-value object 
-                                // that Ajv can validate. Files are usually Bun.file objects.
-                                parsedBody = {}
-                                for (const [key, value] of formData.entries()) {
-                                    if (key in parsedBody) {
-                                        if (!Array.isArray(parsedBody[key])) {
-                                            parsedBody[key] = [parsedBody[key]] // For multiple files, same field
-                                        }
-                                        parsedBody[key].push(value)
-                                    } else {
-                                        parsedBody[key] = value
-                                    }
-                                }
-                                
-                            } else {
-                                // If a body schema exists but Content-Type is unknown, reject the request.
-                                return this._createErrorResponse(415, 'UNSUPPORTED_MEDIA_TYPE', 'Unsupported Content-Type header.')
-                            }
+        const compiledRouter = {
+            bases: this._serverBasePaths(doc),
+            entries: router.sort((a, b) => this._compareSpecificity(a.segments, b.segments)),
+        }
 
-                        } catch (e) {
-                            parsedBody = {} // Allow empty body (all items optional/not required)
-                        }
+        // Mounted instances: their paths are dispatched by fetch(), which picks the version
+        // and answers paths no instance has with this instance's 404.
+        // Instances already compiled (and reloaded by their own watcher) are not compiled again
+        for (const { prefix, api } of this._mounts) {
+            for (const mountedPath in api._routeTable ?? await api.routes()) {
+                if (mountedPath === '/*') continue
+                routes[`${prefix}${mountedPath}`.replace(/\/$/, '') || '/'] = (req) => this.fetch(req)
+            }
+        }
 
-                        const valid = validators.body(parsedBody)
-                        if (!valid) {
-                            return this._createErrorResponse(400, 'INVALID_BODY_VALIDATION', 'Body validation failed', validators.body.errors)
-                        }
+        // Add Global handler for 404 Not Found
+        routes['/*'] = (req) => this._notFound(req)
 
-                    }
+        // Everything compiled: requests see the new definition and its routes together.
+        // A failure above (e.g. a bad reload) leaves the previous ones serving
+        this.spec = doc
+        this._definitionFiles = files
+        this.securitySchemes = securitySchemes
+        this._verifyJwt = verifyJwt
+        this._operationRoutes = operationRoutes
+        this._router = compiledRouter
+        this._routeTable = routes
 
-                    // Security Checks
-                    if (effectiveSecurity && effectiveSecurity.length > 0) {
-                        
-                        for (const requirement of effectiveSecurity) {
-                            const schemeName = Object.keys(requirement)[0]
-                            const requiredScopes = requirement[schemeName] || []
-                            const authHandler = this.securityHandlers.get(schemeName)
-
-                            if (!authHandler) {
-                                console.error(`Security scheme "${schemeName}" not implemented in security handlers`)
-                                return this._createErrorResponse(500, 'ERR_CONFIG', 'Internal configuration error')
-                            }
-    
-                            try {
-                                
-                                const authorized = await authHandler(context, requiredScopes, securityContext)
-
-                                // If handler returns false or throws → unauthorized
-                                if (authorized !== true) {
-                                    if (authorized instanceof Response) return authorized
-                                    return this._createErrorResponse(401, 'UNAUTHORIZED', 'Unauthorized')
-                                }
-                                
-                            } catch (err) {
-                                console.error(`Auth handler error for ${schemeName}:`, err)
-                                if (err instanceof Response) return err
-                                return this._createErrorResponse(403, 'FORBIDDEN', 'Forbidden')
-                            }
-                        }
-                    }
+        if (this.watch) this._watchDefinition()
 
-                    // Actual handler
-                    const handler = this.operations.get(operationId)
-
-                    if (handler) {
-                        if (parsedBody) {
-
-                            const contentType = req.headers.get('Content-Type') || ''
-
-                            context.body = parsedBody
-
-                            if (contentType.includes('application/json')) {
-                                context.json = async () => parsedBody
-                            } else if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
-                                context.formData = async () => {
-                                    const form = new FormData()
-                                    for (const key in parsedBody) {
-                                        if (Array.isArray(parsedBody[key])) {
-                                            // This is to handle multiple files upload
-                                            for (let i = 0; i < parsedBody[key].length; i++) {
-                                                form.append(key, parsedBody[key][i])
-                                            }
-                                        } else {
-                                            form.append(key, parsedBody[key])
-                                        }
-                                    }
-                                    return form
-                                }
-                            }
-                            
-                        }
+        return routes
+    }
 
-                        try {
-
-                            const response = await handler(context, securityContext)
-
-                            const contentType = response.headers.get('content-type')
-                            const isSSE = contentType && contentType.startsWith('text/event-stream')
-
-                            // Strict: Validate response
-                            if (this.strictResponseValidation && validators.responses.size > 0 && !isSSE) {
-                                
-                                const statusCode = response.status.toString()
-                                const validator = validators.responses.get(statusCode)
-
-                                if (validator === undefined) {
-                                    console.warn(`Response Validation Warning: Status ${statusCode} is not documented for ${operationId}.`)
-                                } else {
-                                    let responseData = null
-                                    const contentType = response.headers.get('content-type') || ''
-
-                                    if (contentType.includes('application/json')) {
-                                        try {
-                                            // Clone the response before reading the stream
-                                            responseData = await response.clone().json()
-                                        } catch(e) {
-                                            responseData = null
-                                        }
-                                    }
-
-                                    if (responseData) {
-                                        if (validator === null) {
-                                            console.warn(`Response Validation Warning: Status ${statusCode} does not expect body for ${operationId}.`)
-                                        } else {
-
-                                            if (statusCode === '204' || statusCode === '304') {
-                                                console.warn(`Response Validation Warning: Attempted to return body on status ${statusCode} for ${operationId}.`)
-                                            }
-
-                                            const valid = validator(responseData)
-                                            if (!valid) {
-                                                // Developer Error: Log the failure prominently
-                                                const details = validator.errors || []
-                                                const errMessage = `Response Validation Warning: Status ${statusCode} for ${operationId} failed validation against OpenAPI schema.`
-                                                
-                                                console.error(errMessage, details)
-                                                
-                                                // In production with strict: true but production: just log, don't break client
-                                                if (this.development) {
-                                                    return this._createErrorResponse(500, 'CONTRACT_VIOLATION', errMessage, details)
-                                                }
-                                                
-                                            }
-                                        }
-                                    } else {
-                                        if (validator) {
-                                            console.warn(`Response Validation Warning: Status ${statusCode} expected body for ${operationId} but did not found.`)
-                                        }
-                                    }
-
-                                }
-                            }
+    /**
+     * Stops watching the definition files (see the `watch` option), so that the process can exit.
+     */
+    close() {
+        clearTimeout(this._reloadTimer)
+        for (const watcher of this._watchers.values()) watcher.close()
+        this._watchers.clear()
+        this._watchedFiles.clear()
+    }
 
-                            // Attach cors headers
-                            for (const [key, value] of Object.entries(this.CORS_HEADERS)) {
-                                response.headers.set(key, value)
-                            }
-                            
-                            return response
+    /**
+     * Handles a request with the built-in router: a standard `(Request) => Promise<Response>` function,
+     * usable as `Bun.serve({ fetch: api.fetch })`, inside another app, or directly in tests.
+     * Routes are compiled on the first call if `routes()` has not been called yet.
+     * Static path segments take precedence over templated ones, and the base paths of `servers[].url` are honoured.
+     * @async
+     * @param {Request} req - The incoming request.
+     * @returns {Promise<Response>}
+     */
+    async fetch(req) {
+        const response = await this._dispatch(req, new URL(req.url).pathname)
+        return response ?? this._notFound(req)
+    }
 
-                        } catch(err) {
-                            console.error(`Unhandled error in handler ${operationId}:`, err)
-                            return this._createErrorResponse(500, 'HANDLER_ERROR', 'Internal handler error')
-                        }
+    // Route a request to a mounted instance or to an operation of this definition (null when no path matches)
+    async _dispatch(req, pathname) {
+        const mounted = await this._dispatchMounts(req, pathname)
+        if (mounted) return mounted
 
-                    }
+        await this._ensureRoutes()
 
-                    // Handle not implemented
-                    return this._createErrorResponse(501, 'NOT_IMPLEMENTED', `Not implemented: ${upper} ${bunPath}`)
-                }
-            }
-            
-            // Handle preflight
-            routes[bunPath]['OPTIONS'] = async (req) => {
-                return new Response(null, { 
-                    status: 204, 
-                    headers: this.CORS_HEADERS 
-                })
-            }
-    
-        }
+        const match = this._matchRoute(pathname)
+        if (!match) return null
 
-        // Add Global handler for 404 Not Found
-        routes['/*'] = async (req) => {
+        const method = req.method.toUpperCase()
+        const handler = match.entry.methods[method]
 
-            if (this._notFoundHandler) {
-                try {
+        if (handler) return handler(req, match.params)
 
-                    const formatted = await this._notFoundHandler(req)
-                
-                    if (formatted instanceof Response) {
-                        // Attach cors headers
-                        for (const [key, value] of Object.entries(this.CORS_HEADERS)) {
-                            formatted.headers.set(key, value)
+        return this._methodNotAllowed(req, Object.keys(match.entry.methods))
+    }
+
+    // Route a request to the instance mounted under the longest matching prefix that has the path.
+    // Instances sharing a prefix are picked by the requested version (see _requestedVersion).
+    async _dispatchMounts(req, pathname) {
+        const segments = pathname.split('/').filter(Boolean)
+        const prefixes = new Set()
+
+        for (const { prefix, segments: prefixSegments } of this._mounts) {
+            if (prefixes.has(prefix)) continue
+            prefixes.add(prefix)
+            if (!prefixSegments.every((segment, i) => this._decodeSegment(segments[i]) === this._decodeSegment(segment))) continue
+
+            const group = this._mounts.filter(mount => mount.prefix === prefix)
+            const versioned = group[0].version !== null
+            let mount = group[0]
+
+            if (versioned) {
+                const requested = this._requestedVersion(req)
+                mount = requested === null
+                    ? group.find(entry => entry.default) || group[0]
+                    : group.find(entry => entry.version === requested)
+                if (!mount) {
+                    // Paths no version has are answered by the 404 of this instance
+                    const rest = `/${segments.slice(prefixSegments.length).join('/')}`
+                    const known = await Promise.all(group.map(entry => entry.api._hasPath(rest)))
+                    if (!known.includes(true)) continue
+                    const available = group.map(entry => entry.version).join(', ')
+                    return this._applyCors(req, await this._createErrorResponse(406, 'UNSUPPORTED_VERSION', `API version ${requested} is not available.`, [{ message: `Available versions: ${available}` }], { req }))
+                }
+            }
+
+            const response = await mount.api._dispatch(req, `/${segments.slice(prefixSegments.length).join('/')}`)
+            if (!response) continue
+
+            if (versioned) {
+                this._varyOn(response, 'Accept-Version')
+                this._varyOn(response, 'Accept')
+            }
+            return response
+        }
+
+        return null
+    }
+
+    // Whether a path exists in the definition, or in an instance mounted on this one (any version)
+    async _hasPath(pathname) {
+        await this._ensureRoutes()
+        if (this._matchRoute(pathname)) return true
+
+        const segments = pathname.split('/').filter(Boolean)
+        for (const { segments: prefixSegments, api } of this._mounts) {
+            if (!prefixSegments.every((segment, i) => this._decodeSegment(segments[i]) === this._decodeSegment(segment))) continue
+            if (await api._hasPath(`/${segments.slice(prefixSegments.length).join('/')}`)) return true
+        }
+        return false
+    }
+
+    // The API version a request asks for: the `Accept-Version` header, or the `version` parameter
+    // of an Accept media type (`application/json; version=2`). null when it does not ask.
+    _requestedVersion(req) {
+        const header = req.headers.get('Accept-Version')?.trim()
+        if (header) return header
+
+        for (const part of (req.headers.get('Accept') || '').split(',')) {
+            const param = part.split(';').slice(1).map(value => value.trim()).find(value => /^version\s*=/i.test(value))
+            if (param) return param.slice(param.indexOf('=') + 1).trim().replace(/^"(.*)"$/, '$1')
+        }
+        return null
+    }
+
+    // Helper to compile the routes once when routes() has not been called
+    async _ensureRoutes() {
+        if (this._router) return
+        // Retry on the next call if loading the definition failed
+        this._routesPromise ??= this.routes().catch((err) => {
+            this._routesPromise = null
+            throw err
+        })
+        await this._routesPromise
+    }
+
+    // Validate a client request ({ params, query, headers, cookies, body, contentType }) against an operation
+    _validateClientRequest(operationId, { params = {}, query = {}, headers = {}, cookies = {}, body, contentType } = {}) {
+        const route = this._operationRoutes.get(operationId)
+        if (!route) {
+            throw new Error(`Unknown operationId "${operationId}"`)
+        }
+
+        const { validators } = route
+        const errors = []
+
+        // Validators coerce and fill in data: run them on copies
+        const check = (validator, data, location) => {
+            if (validator && !validator(data)) errors.push(...this._problemErrors(validator.errors, location))
+        }
+
+        check(validators.path, { ...params }, 'path')
+        check(validators.query, { ...query }, 'query')
+        check(validators.header, { ...headers }, 'header')
+        check(validators.cookie, { ...cookies }, 'cookie')
+
+        if (body === undefined || body === null) {
+            if (validators.bodyRequired) {
+                errors.push({ pointer: '#', in: 'body', message: 'Request body is required.' })
+            }
+        } else if (validators.bodies.length > 0 && !(body instanceof FormData)) {
+            const entry = contentType ? this._matchBodyEntry(contentType, validators.bodies) : validators.bodies[0]
+            if (!entry) {
+                errors.push({ pointer: '#', in: 'body', message: `Unsupported Content-Type ${this._essence(contentType)}.` })
+            } else {
+                check(entry.validator, structuredClone(body), 'body')
+            }
+        }
+
+        return errors
+    }
+
+    // Helper to add HEAD (served from GET) and OPTIONS to a path's method handlers unless declared in the spec
+    _completeMethods(methods, cors = {}) {
+        const { GET } = methods
+        if (GET && !methods.HEAD) {
+            methods.HEAD = async (req, params) => {
+                const response = await GET(req, params)
+                await response.body?.cancel()
+                return new Response(null, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                })
+            }
+        }
+        if (cors.GET && !cors.HEAD) {
+            cors.HEAD = cors.GET
+        }
+        if (!methods.OPTIONS) {
+            methods.OPTIONS = async (req) => this._preflight(req, Object.keys(methods), cors)
+        }
+        return methods
+    }
+
+    // Handle OPTIONS, advertising the methods defined for the path.
+    // CORS preflights are checked against the origin, the requested method and the requested headers.
+    async _preflight(req, allowed, cors = {}) {
+        const allow = allowed.join(', ')
+        const requestMethod = req.headers.get('access-control-request-method')?.toUpperCase()
+
+        if (!req.headers.has('origin') || !requestMethod) {
+            return this._applyCors(req, new Response(null, {
+                status: 204,
+                headers: { 'Access-Control-Allow-Methods': allow, 'Allow': allow }
+            }))
+        }
+
+        const { options, headers: operationHeaders = [] } = cors[requestMethod] ?? { options: this.corsOptions }
+        const origin = options && allowed.includes(requestMethod) ? await this._resolveOrigin(req, options) : null
+
+        const requested = (req.headers.get('access-control-request-headers') || '')
+            .split(',').map(name => name.trim()).filter(Boolean)
+        const allowHeaders = [...options?.allowHeaders ?? [], ...operationHeaders]
+        const allowAny = allowHeaders.includes('*')
+        const lowered = allowHeaders.map(name => name.toLowerCase())
+        const rejectedHeaders = allowAny ? [] : requested.filter(name => !lowered.includes(name.toLowerCase()))
+
+        if (!origin || rejectedHeaders.length > 0) {
+            const reason = !origin
+                ? `CORS preflight rejected for ${requestMethod} from origin ${req.headers.get('origin')}`
+                : `CORS preflight rejected: header(s) ${rejectedHeaders.join(', ')} not allowed`
+            const response = await this._createErrorResponse(403, 'CORS_REJECTED', reason, [], { req })
+            response.headers.set('Allow', allow)
+            response.headers.set('Vary', 'Origin')
+            return response
+        }
+
+        const headers = {
+            ...this._corsHeaders(origin, options),
+            'Access-Control-Allow-Methods': allow,
+            'Access-Control-Allow-Headers': allowAny && requested.length > 0
+                ? requested.join(', ')
+                : [...new Set(allowHeaders)].join(', '),
+            'Allow': allow,
+        }
+        if (options.maxAge !== null && options.maxAge !== undefined) {
+            headers['Access-Control-Max-Age'] = String(options.maxAge)
+        }
+
+        const response = new Response(null, { status: 204, headers })
+        this._appendVary(response, options)
+        return response
+    }
+
+    // Handle a method the path item does not define
+    async _methodNotAllowed(req, allowed) {
+        const response = await this._createErrorResponse(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed for this path`, [], { req })
+        response.headers.set('Allow', allowed.join(', '))
+        return this._applyCors(req, response)
+    }
+
+    // Helper to normalize CORS options (or an `x-cors` override) on top of a base configuration
+    _normalizeCors(cors, base) {
+        // Lists are copied: the options passed in are never modified
+        const list = (value) => Array.isArray(value)
+            ? [...value]
+            : String(value).split(',').map(item => item.trim()).filter(Boolean)
+
+        const options = { ...base, headers: { ...base.headers } }
+
+        for (const [key, value] of Object.entries(cors)) {
+            switch (key.toLowerCase()) {
+                case 'origin':
+                case 'access-control-allow-origin':
+                    options.origin = value
+                    break
+                case 'credentials':
+                    options.credentials = Boolean(value)
+                    break
+                case 'access-control-allow-credentials':
+                    options.credentials = String(value) === 'true'
+                    break
+                case 'allowheaders':
+                case 'access-control-allow-headers':
+                    options.allowHeaders = list(value)
+                    break
+                case 'exposeheaders':
+                case 'access-control-expose-headers':
+                    options.exposeHeaders = list(value)
+                    break
+                case 'maxage':
+                case 'access-control-max-age':
+                    options.maxAge = value
+                    break
+                case 'access-control-allow-methods':
+                    // Methods are taken from the path item
+                    break
+                default:
+                    options.headers[key] = value
+            }
+        }
+
+        return options
+    }
+
+    // Helper to resolve the CORS settings of an operation (`x-cors`) and the headers it accepts
+    _operationCors(doc, route) {
+        const override = route.operation['x-cors']
+        const options = override === false
+            ? null
+            : override && typeof override === 'object'
+                ? this._normalizeCors(override, this.corsOptions)
+                : this.corsOptions
+
+        // Header parameters and API keys sent in headers are always allowed in preflight
+        const schemes = doc.components?.securitySchemes || {}
+        const headers = route.validators.params.header.map(param => param.name)
+        for (const requirement of route.security) {
+            for (const name in requirement) {
+                const scheme = schemes[name]
+                if (scheme?.type === 'apiKey' && scheme.in === 'header' && scheme.name) headers.push(scheme.name)
+            }
+        }
+        if (route.csrf) headers.push(this.csrfOptions.headerName)
+
+        return { options, headers }
+    }
+
+    // Helper to tell whether an operation is CSRF-protected:
+    // `x-csrf: true`, or any security requirement using a cookie API key (unless `x-csrf: false`)
+    _operationCsrf(route, schemes) {
+        if (!this.csrfOptions) return false
+
+        const override = route.operation['x-csrf']
+        if (override === true || override === false) return override
+
+        return route.security.some(requirement => Object.keys(requirement || {}).some(name => {
+            const scheme = schemes[name]
+            return scheme?.type === 'apiKey' && scheme.in === 'cookie'
+        }))
+    }
+
+    // Helper to compare the CSRF cookie with the header in constant time (null when they match)
+    async _checkCsrf(context, meta) {
+        const { cookieName, headerName } = this.csrfOptions
+        const cookie = Buffer.from(context.cookies.get(cookieName) || '')
+        const header = Buffer.from(context.headers.get(headerName) || '')
+
+        if (cookie.length > 0 && cookie.length === header.length && timingSafeEqual(cookie, header)) {
+            return null
+        }
+        return this._createErrorResponse(403, 'CSRF_MISMATCH', 'CSRF token missing or invalid', [], meta)
+    }
+
+    // Helper to send the CSRF token: a new cookie when the client has none (unless the handler set one),
+    // and the current token in the response header
+    _issueCsrfToken(context, response) {
+        const { cookieName, headerName, cookie } = this.csrfOptions
+        if (response.headers.getSetCookie().some(value => value.startsWith(`${cookieName}=`))) return response
+
+        if (context.cookies.get(cookieName) !== context.csrfToken) {
+            // Not HttpOnly: scripts read it and send it back in the header
+            const serialized = new Bun.Cookie(cookieName, context.csrfToken, { ...cookie, httpOnly: false }).toString()
+            response.headers.append('Set-Cookie', serialized)
+        }
+        response.headers.set(headerName, context.csrfToken)
+        return response
+    }
+
+    // Helper to resolve the Access-Control-Allow-Origin value for a request (null when not allowed)
+    async _resolveOrigin(req, options) {
+        const { origin } = options
+        if (origin === '*' || typeof origin === 'string') return origin
+
+        const requestOrigin = req.headers.get('origin')
+        if (!requestOrigin) return null
+
+        if (typeof origin === 'function') {
+            const result = await origin(requestOrigin, req)
+            if (typeof result === 'string') return result
+            return result === true ? requestOrigin : null
+        }
+
+        // A list may mix exact origins and patterns
+        const allowed = [].concat(origin).some(item => {
+            if (!(item instanceof RegExp)) return item === requestOrigin
+            item.lastIndex = 0
+            return item.test(requestOrigin)
+        })
+        return allowed ? requestOrigin : null
+    }
+
+    // Helper to build the CORS response headers for a resolved origin
+    _corsHeaders(origin, options) {
+        const headers = { ...options.headers }
+        if (!origin) return headers
+
+        headers['Access-Control-Allow-Origin'] = origin
+        if (origin !== '*' && (options.credentials ?? true)) {
+            headers['Access-Control-Allow-Credentials'] = 'true'
+        }
+        if (options.exposeHeaders.length > 0) {
+            headers['Access-Control-Expose-Headers'] = options.exposeHeaders.join(', ')
+        }
+        return headers
+    }
+
+    // Helper to add `Vary: Origin` when the allowed origin depends on the request
+    _appendVary(response, options) {
+        if (options.origin === '*') return
+        this._varyOn(response, 'Origin')
+    }
+
+    // Helper to add a request header name to the Vary response header (unless already listed, or `*`)
+    _varyOn(response, name) {
+        const vary = response.headers.get('vary')
+        if (!vary) {
+            response.headers.set('Vary', name)
+        } else if (!vary.split(',').some(value => value.trim().toLowerCase() === name.toLowerCase() || value.trim() === '*')) {
+            response.headers.set('Vary', `${vary}, ${name}`)
+        }
+    }
+
+    // Attach the CORS headers for this request (operation `x-cors` overrides when given)
+    async _applyCors(req, response, options = this.corsOptions) {
+        if (!options) return response
+
+        const origin = await this._resolveOrigin(req, options)
+        for (const [key, value] of Object.entries(this._corsHeaders(origin, options))) {
+            response.headers.set(key, value)
+        }
+        this._appendVary(response, options)
+        return response
+    }
+
+    // Global handler for 404 Not Found
+    async _notFound(req) {
+        return this._applyCors(req, await this._notFoundResponse(req))
+    }
+
+    // Helper to build the 404 response (custom handler or plain text)
+    async _notFoundResponse(req) {
+        if (this._notFoundHandler) {
+            try {
+
+                const formatted = await this._notFoundHandler(req)
+            
+                if (formatted instanceof Response) {
+                    return formatted
+                }
+
+                if (typeof formatted === 'object' && formatted !== null) {
+                    return Response.json(formatted, {
+                        status: 404,
+                        headers: {
+                            'Content-Type': 'application/json'
                         }
+                    })
+                }
+
+            } catch(err) {
+                console.error(`Unhandled error in NOT_FOUND handler:`, err)
+                return this._createErrorResponse(500, 'HANDLER_ERROR', 'Internal handler error', [], { req })
+            }
+
+        }
+
+        if (this.errorFormat === 'problem') {
+            return this._createErrorResponse(404, 'NOT_FOUND', 'Resource not found.', [], { req })
+        }
+
+        return new Response('Not Found', { 
+            status: 404, 
+        })
+    }
+
+    // The definition with internal $refs kept (component names survive), for publishing and code generation
+    async _bundleDefinition(doc) {
+        if (typeof this.definition === 'string') {
+            return SwaggerParser.bundle(path.resolve(this.definition))
+        }
+        return doc ?? this.spec ?? (await this._loadDefinition()).doc
+    }
+
+    // Read the definition (file path or object). `files` are the files it was read from, watched with `watch`.
+    // routes() makes it the served definition (this.spec) once it compiled
+    async _loadDefinition() {
+        let doc
+        let files = []
+
+        if (typeof this.definition === 'string') {
+            const filePath = path.resolve(this.definition) // Resolve the path
+            try {
+                // Read the file asynchronously. 'utf8' ensures text decoding.
+                //const text = await readFile(filePath, 'utf8')
+                //doc = parse(text)
+
+                // This should improve $ref support
+                const parser = new SwaggerParser()
+                doc = await parser.dereference(filePath)
+                files = parser.$refs.paths('file')
+            } catch (error) {
+                console.error(`Error reading or parsing OpenAPI definition file: ${filePath}`, error)
+                throw new Error(`Failed to load OpenAPI definition: ${error.message}`)
+            }
+        } else if (typeof this.definition === 'object' && this.definition !== null) {
+            // If the definition is passed as an object, use it directly
+            doc = this.definition
+        } else if (this.definition === undefined && this._mounts.length > 0) {
+            // An instance without a definition of its own only serves what is mounted on it
+            doc = { openapi: '3.1.0', info: { title: 'Mounted APIs', version: '1.0.0' }, paths: {} }
+        } else {
+            throw new Error('Invalid definition provided. Must be a file path (string) or an OpenAPI object.')
+        }
+
+        return { doc, files }
+    }
+
+    // Watch the definition file and the files it $refs. Their directories are watched, so that
+    // editors replacing a file on save are noticed too. A change schedules a reload.
+    _watchDefinition() {
+        if (typeof this.definition !== 'string') return
+
+        const files = new Map()
+        for (const file of this._definitionFiles) {
+            const directory = path.dirname(file)
+            if (!files.has(directory)) files.set(directory, new Set())
+            files.get(directory).add(path.basename(file))
+        }
+        this._watchedFiles = files
+
+        for (const [directory, watcher] of this._watchers) {
+            if (files.has(directory)) continue
+            watcher.close()
+            this._watchers.delete(directory)
+        }
+
+        for (const directory of files.keys()) {
+            if (this._watchers.has(directory)) continue
+            const watcher = watchDirectory(directory, (event, filename) => {
+                if (filename && this._watchedFiles.get(directory)?.has(path.basename(filename))) this._scheduleReload()
+            })
+            watcher.on('error', (err) => console.error(`Stopped watching ${directory}:`, err))
+            this._watchers.set(directory, watcher)
+        }
+    }
+
+    // Helper to debounce the change events of one save; reloads run one after the other
+    _scheduleReload() {
+        clearTimeout(this._reloadTimer)
+        this._reloadTimer = setTimeout(() => {
+            this._reloading = this._reloading.then(() => this._reloadDefinition())
+        }, 50)
+    }
+
+    // Recompile the routes from the changed definition, keeping the registered handlers.
+    // routes() swaps the definition and the route table once everything compiled; on failure the previous ones keep serving.
+    async _reloadDefinition() {
+        try {
+            await this.routes()
+            console.info(`OpenAPI definition reloaded from ${this.definition} (${this._operationRoutes.size} operations).`)
+        } catch (err) {
+            console.error(`OpenAPI definition reload failed, still serving the previous version. ${err.message}`)
+        }
+    }
+
+    // Compare the registered handlers with the operations and security schemes of the definition
+    _buildReport(doc) {
+        const report = {
+            ok: true,
+            unknownOperations: [],
+            unimplementedOperations: [],
+            missingSecurityHandlers: [],
+            missingOperationIds: [],
+            routeConflicts: [],
+        }
+
+        const globalSecurity = doc.security || []
+        const operationIds = new Set()
+        const missingSchemes = new Map() // scheme → operationIds
+        const shapes = new Map() // route shape → method → OpenAPI paths
+
+        for (const openApiPath in doc.paths) {
+            const pathItem = doc.paths[openApiPath] || {}
+
+            // /users/{id} and /users/{userId} are the same route for a router: they conflict on the methods they both define
+            const shape = openApiPath.replace(/{[^}]+}/g, '{}')
+            if (!shapes.has(shape)) shapes.set(shape, new Map())
+
+            for (const method in pathItem) {
+                if (!HTTP_METHODS.includes(method) || !pathItem[method]) continue
+
+                const operation = pathItem[method]
+                const upper = method.toUpperCase()
+                const { operationId } = operation
+
+                if (!operationId) {
+                    report.missingOperationIds.push({ method: upper, path: openApiPath })
+                    continue
+                }
+
+                const methods = shapes.get(shape)
+                if (!methods.has(upper)) methods.set(upper, [])
+                methods.get(upper).push(openApiPath)
+
+                operationIds.add(operationId)
+
+                // Mock mode answers the operations without a handler
+                if (!this.operations.has(operationId) && !(operation['x-mock'] ?? this.mockEnabled)) {
+                    report.unimplementedOperations.push({ operationId, method: upper, path: openApiPath })
+                }
+
+                for (const requirement of operation.security ?? globalSecurity) {
+                    for (const scheme in requirement || {}) {
+                        if (this._securityHandler(scheme)) continue
+                        if (this.jwtOptions && isJwtScheme(doc.components?.securitySchemes?.[scheme])) continue
+                        if (!missingSchemes.has(scheme)) missingSchemes.set(scheme, new Set())
+                        missingSchemes.get(scheme).add(operationId)
+                    }
+                }
+            }
+        }
+
+        report.unknownOperations = [...this.operations.keys()].filter(id => !operationIds.has(id))
+
+        report.missingSecurityHandlers = [...missingSchemes].map(([scheme, operations]) => ({
+            scheme,
+            operations: [...operations],
+        }))
+
+        for (const methods of shapes.values()) {
+            const conflicts = new Map() // OpenAPI paths → methods defined on all of them
+            for (const [method, paths] of methods) {
+                if (paths.length < 2) continue
+                const key = paths.join('\n')
+                if (!conflicts.has(key)) conflicts.set(key, { route: paths[0].replace(/{([^}]+)}/g, ':$1'), paths, methods: [] })
+                conflicts.get(key).methods.push(method)
+            }
+            report.routeConflicts.push(...conflicts.values())
+        }
+
+        report.ok = report.unknownOperations.length === 0
+            && report.unimplementedOperations.length === 0
+            && report.missingSecurityHandlers.length === 0
+            && report.missingOperationIds.length === 0
+            && report.routeConflicts.length === 0
+
+        return report
+    }
+
+    // Human-readable summary of a contract report
+    _formatReport(report) {
+        const lines = []
+        for (const id of report.unknownOperations) {
+            lines.push(`- Registered operationId "${id}" does not exist in the definition`)
+        }
+        for (const { operationId, method, path } of report.unimplementedOperations) {
+            lines.push(`- No handler registered for "${operationId}" (${method} ${path})`)
+        }
+        for (const { scheme, operations } of report.missingSecurityHandlers) {
+            lines.push(`- No security handler registered for scheme "${scheme}" (used by ${operations.join(', ')})`)
+        }
+        for (const { method, path } of report.missingOperationIds) {
+            lines.push(`- Missing operationId on ${method} ${path}`)
+        }
+        for (const { route, paths, methods } of report.routeConflicts) {
+            lines.push(`- Route conflict: ${methods.join(', ')} ${paths.join(' and ')} map to ${route}`)
+        }
+        return lines.join('\n')
+    }
+
+    // Helper to compile an OpenAPI path template into segment matchers for the built-in router
+    _compilePathTemplate(template) {
+        return template.split('/').filter(Boolean).map(segment => {
+            if (!segment.includes('{')) return { static: segment }
+
+            const names = []
+            const source = segment.split(/({[^}]+})/).map(part => {
+                const name = /^{([^}]+)}$/.exec(part)?.[1]
+                if (!name) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                names.push(name)
+                return '([^/]+?)'
+            }).join('')
+
+            return { regex: new RegExp(`^${source}$`), names, static: null }
+        })
+    }
+
+    // Helper to order router entries: static segments win over templated ones, left to right
+    _compareSpecificity(a, b) {
+        const rank = (segment) => segment.static !== null ? 0 : segment.regex.source === '^([^/]+?)$' ? 2 : 1
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const diff = rank(a[i]) - rank(b[i])
+            if (diff !== 0) return diff
+        }
+        return a.length - b.length
+    }
+
+    // Helper to collect the base paths of `servers[].url` (variables replaced by their defaults), longest first
+    _serverBasePaths(doc) {
+        const bases = new Set()
+        for (const server of doc.servers || []) {
+            const url = (server.url || '').replace(/{([^}]+)}/g, (_, name) => server.variables?.[name]?.default ?? '')
+            let pathname
+            try {
+                pathname = new URL(url, 'http://localhost').pathname
+            } catch {
+                continue
+            }
+            bases.add(pathname.replace(/\/+$/, ''))
+        }
+        if (bases.size === 0) bases.add('')
+        return [...bases].sort((a, b) => b.length - a.length)
+    }
+
+    // Helper to match a request pathname against the compiled router
+    _matchRoute(pathname) {
+        const segments = pathname.split('/').filter(Boolean)
+        const { bases, entries } = this._router
+
+        const candidates = [[segments, true]]
+        for (const base of bases) {
+            const prefix = base.split('/').filter(Boolean)
+            if (prefix.every((segment, i) => this._decodeSegment(segments[i]) === this._decodeSegment(segment))) {
+                candidates.push([segments.slice(prefix.length), false])
+            }
+        }
+
+        for (const [rest, absolute] of candidates) {
+            for (const entry of entries) {
+                if (entry.absolute !== absolute) continue
+                const params = this._matchSegments(entry.segments, rest)
+                if (params) return { entry, params }
+            }
+        }
+        return null
+    }
+
+    // Helper to match path segments against compiled template segments, returning the raw params
+    // (percent-decoded by _deserializePath, after array and object values are split)
+    _matchSegments(template, segments) {
+        if (template.length !== segments.length) return null
+
+        const params = {}
+        for (let i = 0; i < template.length; i++) {
+            const { static: text, regex, names } = template[i]
+            if (text !== null) {
+                if (this._decodeSegment(segments[i]) !== text) return null
+                continue
+            }
+            const match = regex.exec(segments[i])
+            if (!match) return null
+            names.forEach((name, index) => { params[name] = match[index + 1] })
+        }
+        return params
+    }
+
+    // Adds the routes serving the OpenAPI document (JSON and YAML) and the HTML API reference
+    async _addDocsRoutes(routes, router, doc) {
+        const { path: docsPath, specPath, excludeInternal, rewriteServers, trustProxy } = this.docsOptions
+
+        // Publish the bundled document (internal $refs kept) rather than the dereferenced one
+        const published = publishSpec(await this._bundleDefinition(doc), { excludeInternal })
+
+        // Renderings by format and origin. The Host header is client-supplied: the cache is a small LRU
+        const cache = new Map()
+        const render = (req, format) => {
+            const origin = rewriteServers ? this._requestOrigin(req, trustProxy) : null
+
+            const key = `${format}:${origin}`
+            let text = cache.get(key)
+            if (text === undefined) {
+                const spec = origin ? publishSpec(published, { excludeInternal: false, origin }) : published
+                text = format === 'json'
+                    ? JSON.stringify(spec, null, 2)
+                    : format === 'yaml'
+                        ? toYAML(spec)
+                        : renderDocs(spec, { specUrl: specPath })
+            }
+            cache.delete(key)
+            cache.set(key, text)
+            if (cache.size > DOCS_CACHE_SIZE) cache.delete(cache.keys().next().value)
+            return text
+        }
+
+        const contentTypes = {
+            json: 'application/json',
+            yaml: 'application/yaml',
+            html: 'text/html; charset=utf-8',
+        }
+
+        const mounts = [
+            [`${specPath}.json`, 'json'],
+            [`${specPath}.yaml`, 'yaml'],
+            ...(docsPath ? [[docsPath, 'html']] : []),
+        ]
+
+        for (const [mountPath, format] of mounts) {
+            if (routes[mountPath]) {
+                console.warn(`Docs route "${mountPath}" conflicts with a path in the OpenAPI definition and was not added.`)
+                continue
+            }
+            const methods = this._completeMethods({
+                GET: async (req) => this._applyCors(req, new Response(render(req, format), {
+                    status: 200,
+                    headers: {
+                        'Content-Type': contentTypes[format],
+                    }
+                }))
+            })
+            routes[mountPath] = { ...methods }
+            router.push({ segments: this._compilePathTemplate(mountPath), absolute: true, methods })
+        }
+    }
+
+    // Origin a request came in on, for rewriteServers: the request URL, or the X-Forwarded-Proto/-Host
+    // headers with trustProxy. Values that are not a plain http(s) scheme and host are ignored.
+    _requestOrigin(req, trustProxy) {
+        const url = new URL(req.url)
+        let proto = url.protocol.slice(0, -1)
+        let host = url.host
+
+        if (trustProxy) {
+            const forwardedProto = req.headers.get('x-forwarded-proto')?.split(',')[0].trim().toLowerCase()
+            const forwardedHost = req.headers.get('x-forwarded-host')?.split(',')[0].trim()
+            if (forwardedProto === 'http' || forwardedProto === 'https') proto = forwardedProto
+            if (forwardedHost && /^(\[[0-9a-fA-F:.]+\]|[A-Za-z0-9.-]+)(:\d{1,5})?$/.test(forwardedHost)) host = forwardedHost
+        }
+        return `${proto}://${host}`
+    }
+
+    // Runs the operation pipeline for a matched route:
+    // onRequest → parse → preValidation → validate → security → preHandler → handler → onResponse
+    async _handleOperation(route, req, params) {
+        const securityContext = {}
+        const context = this._createContext(route, req, params)
+
+        // Current CSRF token (or the one about to be issued), e.g. for handlers rendering forms
+        if (this.csrfOptions) {
+            context.csrfToken = context.cookies.get(this.csrfOptions.cookieName) || randomBytes(32).toString('base64url')
+        }
+
+        let response
+        try {
+            response = await this._runOperation(route, req, context, securityContext)
+        } catch (err) {
+            response = await this._handleOperationError(route, err, context, securityContext, req)
+        }
+
+        try {
+            for (const fn of this._scopedHooks('onResponse', route)) {
+                const replaced = await fn(context, response, securityContext)
+                if (replaced instanceof Response) response = replaced
+            }
+        } catch (err) {
+            response = await this._handleOperationError(route, err, context, securityContext, req)
+        }
+
+        // The token is handed out by successful safe-method responses of protected operations
+        if (route.csrfIssue && response.status < 400) response = this._issueCsrfToken(context, response)
+
+        // The representation depends on the Accept header when several media types are declared
+        if (route.mediaTypes.length > 1) this._varyOn(response, 'Accept')
+
+        return this._applyCors(req, response, route.cors.options)
+    }
+
+    // Build the request context passed to hooks, security handlers and the operation handler
+    _createContext(route, req, matched) {
+        const { validators } = route
+
+        const url = new URL(req.url)
+
+        // Raw path params, matched by fetch() or read from the trailing segments of the URL:
+        // the params of an outer router (req.params) are already decoded, which would split
+        // an encoded `%2C` inside an array item
+        let params = matched
+        if (!params) {
+            const segments = url.pathname.split('/').filter(Boolean)
+            params = this._matchSegments(route.segments, segments.slice(segments.length - route.segments.length))
+        }
+        const decodeParam = params ? (value) => this._decodeSegment(value) : (value) => value
+        params ??= req.params || {}
+
+        const cookies = this._parseCookies(req)
+
+        const context = {
+            // Attach common Request properties
+            headers: req.headers,
+            url: req.url,
+            method: req.method,
+
+            // Matched operation
+            operationId: route.operationId,
+
+            // Path Parameters (decoded by style/explode)
+            params: this._deserializePath(params, validators.params.path, decodeParam),
+
+            // Query Parameters (decoded by style/explode)
+            query: this._deserializeQuery(url.searchParams, validators.params.query),
+
+            // Body
+            body: null,
+
+            // Cookies
+            cookies,
+
+            // Typed header and cookie parameters declared in the spec
+            // (Headers.get() is case-insensitive, values are keyed by the declared name)
+            headerParams: {},
+            cookieParams: {},
+
+            // Content negotiation over the media types of the success responses (see _acceptableMediaTypes)
+            accepts: (mediaType) => mediaType === undefined
+                ? this._acceptableMediaTypes(req.headers.get('Accept'), route.mediaTypes)
+                : this._acceptableMediaTypes(req.headers.get('Accept'), [mediaType]).length > 0,
+            negotiate: (mediaTypes = route.mediaTypes) => this._acceptableMediaTypes(req.headers.get('Accept'), mediaTypes)[0] ?? null,
+        }
+
+        for (const param of validators.params.header) {
+            const value = req.headers.get(param.name)
+            if (value !== null) context.headerParams[param.name] = this._deserializeValue(value, param)
+        }
+
+        for (const { name } of validators.params.cookie) {
+            const value = cookies.get(name)
+            if (value !== null && value !== undefined) context.cookieParams[name] = value
+        }
+
+        return context
+    }
+
+    // Everything between onRequest and the handler's response.
+    // Returns the Response to send; errors thrown by hooks or the handler propagate to the caller.
+    async _runOperation(route, req, context, securityContext) {
+        const { operationId, validators } = route
+        const meta = { req, operationId }
+
+        const early = await this._runHooks('onRequest', route, context)
+        if (early) return early
+
+        // Content negotiation (opt-in): none of the declared response media types is acceptable
+        if (route.notAcceptable && this._acceptableMediaTypes(req.headers.get('Accept'), route.mediaTypes).length === 0) {
+            return this._createErrorResponse(406, 'NOT_ACCEPTABLE', 'None of the media types in the Accept header can be served.', [{ message: `Available media types: ${route.mediaTypes.join(', ')}` }], meta)
+        }
+
+        // Parse Body
+        let bodyEntry = null
+        if (validators.bodies.length > 0) {
+
+            // RFC 9110: a body without Content-Type may be treated as application/octet-stream
+            const contentType = req.headers.get('Content-Type') || 'application/octet-stream'
+            // An empty payload is no body: only then does requestBody.required apply
+            const bodyRequest = await this._requestWithBody(req)
+
+            if (bodyRequest) {
+
+                bodyEntry = this._matchBodyEntry(contentType, validators.bodies)
+                if (!bodyEntry) {
+                    // If a body schema exists but Content-Type is not declared, reject the request.
+                    return this._createErrorResponse(415, 'UNSUPPORTED_MEDIA_TYPE', 'Unsupported Content-Type header.', [], meta)
+                }
+
+                const parser = this._findBodyParser(contentType)
+                if (!parser) {
+                    return this._createErrorResponse(415, 'UNSUPPORTED_MEDIA_TYPE', `No body parser registered for ${this._essence(contentType)}.`, [], meta)
+                }
+
+                try {
+                    context.body = await parser(bodyRequest, contentType)
+                } catch (err) {
+                    return this._createErrorResponse(400, 'MALFORMED_BODY', `Request body could not be parsed as ${this._essence(contentType)}.`, [{ message: err.message }], { ...meta, location: 'body' })
+                }
+
+            } else if (validators.bodyRequired) {
+                return this._createErrorResponse(400, 'MISSING_BODY', 'Request body is required.', [], meta)
+            }
+
+        }
+
+        const beforeValidation = await this._runHooks('preValidation', route, context)
+        if (beforeValidation) return beforeValidation
+
+        // A. Validate Query Parameters
+        if (validators.query) {
+            const valid = validators.query(context.query)
+            if (!valid) {
+                return this._createErrorResponse(400, 'ERR_VALIDATION', 'Query validation failed', validators.query.errors, { ...meta, location: 'query' })
+            }
+        }
+        // B. Validate Path Parameters
+        // (Bun puts path params in req.params, but we need to check if they match schema)
+        if (validators.path && context.params) {
+            const valid = validators.path(context.params)
+            if (!valid) {
+                return this._createErrorResponse(400, 'ERR_VALIDATION', 'Path validation failed', validators.path.errors, { ...meta, location: 'path' })
+            }
+        }
+        // C. Validate Header Parameters
+        if (validators.header) {
+            const valid = validators.header(context.headerParams)
+            if (!valid) {
+                return this._createErrorResponse(400, 'ERR_VALIDATION', 'Header validation failed', validators.header.errors, { ...meta, location: 'header' })
+            }
+        }
+        // D. Validate Cookie Parameters
+        if (validators.cookie) {
+            const valid = validators.cookie(context.cookieParams)
+            if (!valid) {
+                return this._createErrorResponse(400, 'ERR_VALIDATION', 'Cookie validation failed', validators.cookie.errors, { ...meta, location: 'cookie' })
+            }
+        }
+        // E. Validate Body
+        if (bodyEntry?.validator) {
+            const valid = bodyEntry.validator(context.body)
+            if (!valid) {
+                return this._createErrorResponse(400, 'INVALID_BODY_VALIDATION', 'Body validation failed', bodyEntry.validator.errors, { ...meta, location: 'body' })
+            }
+        }
+
+        // CSRF Checks (unsafe methods only, see _operationCsrf)
+        if (route.csrf) {
+            const denied = await this._checkCsrf(context, meta)
+            if (denied) return denied
+        }
+
+        // Security Checks
+        if (route.security && route.security.length > 0) {
+            const denied = await this._checkSecurity(route.security, context, securityContext, meta)
+            if (denied) return denied
+        }
+
+        const beforeHandler = await this._runHooks('preHandler', route, context, securityContext)
+        if (beforeHandler) return beforeHandler
+
+        // Actual handler
+        const handler = this.operations.get(operationId)
+
+        if (!handler) {
+            // Mock mode: answer from the spec's examples or response schema
+            if (route.operation['x-mock'] ?? this.mockEnabled) {
+                return this._validateResponse(route, await this._mockResponse(route, req), req)
+            }
+            // Handle not implemented
+            return this._createErrorResponse(501, 'NOT_IMPLEMENTED', `Not implemented: ${route.method} ${route.path}`, [], meta)
+        }
+
+        if (bodyEntry) {
+            const parsedBody = context.body
+
+            if (this._isJsonMediaType(bodyEntry.mediaType)) {
+                context.json = async () => parsedBody
+            } else if (FORM_MEDIA_TYPES.includes(bodyEntry.mediaType)) {
+                context.formData = async () => {
+                    const form = new FormData()
+                    for (const key in parsedBody) {
+                        if (Array.isArray(parsedBody[key])) {
+                            // This is to handle multiple files upload
+                            for (let i = 0; i < parsedBody[key].length; i++) {
+                                form.append(key, parsedBody[key][i])
+                            }
+                        } else {
+                            form.append(key, parsedBody[key])
+                        }
+                    }
+                    return form
+                }
+            }
+        }
+
+        // A Response, or a `{ status, body, headers }` result / bare body serialized here
+        const result = await handler(context, securityContext)
+        if (result instanceof Response) return this._validateResponse(route, result, req)
+
+        return this._sendResult(route, result, req)
+    }
+
+    // Build the response of a handler result that is not a Response. The media type comes from the
+    // `Content-Type` header given, or is negotiated among the documented ones (JSON first).
+    // JSON bodies are validated as objects, before they are serialized, instead of being re-parsed.
+    async _sendResult(route, result, req) {
+        if (result === undefined) throw new Error(`Handler for ${route.operationId} returned no response.`)
+
+        const { status, body = null, headers } = this._isHandlerResult(result)
+            ? result
+            : { status: route.successStatus, body: result }
+
+        const responseHeaders = new Headers(headers)
+        const spec = this._responseSpec(route, status)
+        let contentType = responseHeaders.get('content-type')
+
+        if (!contentType && body !== null && !this._isRawBody(body)) {
+            const declared = (spec?.content || []).map(media => media.mediaType).filter(mediaType => !mediaType.includes('*'))
+            const preferred = declared.sort((a, b) => this._isJsonMediaType(b) - this._isJsonMediaType(a))
+            contentType = this._acceptableMediaTypes(req.headers.get('Accept'), preferred)[0]
+                || preferred[0]
+                || (typeof body === 'string' ? 'text/plain;charset=utf-8' : 'application/json')
+            responseHeaders.set('Content-Type', contentType)
+        }
+
+        const media = spec && contentType ? this._responseMedia(spec, contentType) : null
+        let payload = body
+        let checked = null
+
+        if (body !== null && !this._isRawBody(body) && this._isJsonMediaType(this._essence(contentType || ''))) {
+            let data = body
+            if (media?.validator && (this.strictResponseValidation || this.writeOnlyMode === 'remove')) {
+                // The validator deletes writeOnly properties in 'remove' mode: work on a copy of the handler's data
+                if (this.writeOnlyMode === 'remove') data = this._cloneBody(body)
+                checked = media.validator(data) ? [] : [...media.validator.errors || []]
+            }
+            payload = JSON.stringify(data)
+        } else if (body !== null && !this._isRawBody(body) && typeof body !== 'string') {
+            payload = JSON.stringify(body)
+        }
+
+        const response = new Response(payload, { status, headers: responseHeaders })
+        return this._validateResponse(route, response, req, checked)
+    }
+
+    // A result of BunOpenAPI.result(), or a plain `{ status, body, headers? }` with a valid status code.
+    // `body` must be present: a bare body may have a `status` property of its own.
+    _isHandlerResult(result) {
+        if (result === null || typeof result !== 'object' || Array.isArray(result)) return false
+        if (result[HANDLER_RESULT]) return true
+        return Object.hasOwn(result, 'body')
+            && Number.isInteger(result.status) && result.status >= 100 && result.status <= 599
+            && Object.keys(result).every(key => key === 'status' || key === 'body' || key === 'headers')
+    }
+
+    // Copy of a JSON body. Bodies structuredClone() cannot copy (functions, class instances
+    // with private state) are copied as the JSON they serialize to.
+    _cloneBody(body) {
+        try {
+            return structuredClone(body)
+        } catch {
+            return JSON.parse(JSON.stringify(body))
+        }
+    }
+
+    // Bodies sent as they are, whatever the media type
+    _isRawBody(body) {
+        return body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body)
+            || body instanceof ReadableStream || body instanceof FormData || body instanceof URLSearchParams
+    }
+
+    // Build a mock response for an unimplemented operation.
+    // `Prefer: code=404, example=notFound` selects the status code and named example.
+    async _mockResponse(route, req) {
+        const prefer = parsePrefer(req.headers.get('Prefer'))
+        const picked = pickResponse(route.operation.responses, prefer.code)
+
+        if (!picked) {
+            return this._createErrorResponse(400, 'ERR_MOCK', `Status ${prefer.code} is not documented for ${route.operationId}.`, [], { req, operationId: route.operationId })
+        }
+
+        const { status, response } = picked
+        const content = response?.content || {}
+        const mediaTypes = Object.keys(content)
+
+        if (mediaTypes.length === 0 || status === 204 || status === 304) {
+            return new Response(null, { status })
+        }
+
+        // Negotiate with the Accept header, preferring a JSON representation when several are acceptable
+        const preferred = [...mediaTypes].sort((a, b) => this._isJsonMediaType(b) - this._isJsonMediaType(a))
+        const mediaType = this._acceptableMediaTypes(req.headers.get('Accept'), preferred)[0] || preferred[0]
+        const media = content[mediaType]
+
+        const example = pickExample(media, prefer.example)
+        const value = example.found
+            ? example.value
+            : generateFromSchema(media?.schema, {
+                seed: this.mockSeed + hashSeed(`${route.operationId}:${status}`),
+                resolveRef: (ref) => this._resolveRef(ref),
+            })
+
+        const body = this._isJsonMediaType(mediaType)
+            ? JSON.stringify(value)
+            : typeof value === 'string' ? value : JSON.stringify(value)
+
+        return new Response(body, {
+            status,
+            headers: {
+                'Content-Type': mediaType.includes('*') ? 'application/octet-stream' : mediaType,
+            }
+        })
+    }
+
+    // Helper to build a request for an operation from its spec examples (see testContract())
+    _exampleRequest(route, overrides) {
+        const { params, bodies } = route.validators
+        const sample = (param) => {
+            const example = pickExample(param)
+            return example.found
+                ? example.value
+                : generateFromSchema(param.schema, {
+                    seed: this.mockSeed + hashSeed(`${route.operationId}:${param.in}:${param.name}`),
+                    resolveRef: (ref) => this._resolveRef(ref),
+                })
+        }
+        // Path parameters always, the others when required or illustrated
+        const values = (location, given = {}) => {
+            const result = {}
+            for (const param of params[location]) {
+                const illustrated = param.example !== undefined || param.examples !== undefined
+                if (location === 'path' || param.required || illustrated) result[param.name] = sample(param)
+            }
+            return { ...result, ...given }
+        }
+
+        let path = route.openApiPath
+        for (const [name, value] of Object.entries(values('path', overrides.params))) {
+            const raw = Array.isArray(value) ? value.join(',') : value && typeof value === 'object'
+                ? Object.entries(value).flat().join(',')
+                : String(value)
+            path = path.split(`{${name}}`).join(encodeURIComponent(raw))
+        }
+
+        const search = new URLSearchParams()
+        const queryParams = new Map(params.query.map(param => [param.name, param]))
+        for (const [name, value] of Object.entries(values('query', overrides.query))) {
+            const { style = 'form', explode = style === 'form' } = queryParams.get(name) || {}
+            if (Array.isArray(value)) {
+                if (explode) value.forEach(item => search.append(name, String(item)))
+                else search.append(name, value.join(PARAM_DELIMITERS[style] || ','))
+            } else if (value && typeof value === 'object') {
+                for (const [key, item] of Object.entries(value)) {
+                    search.append(style === 'deepObject' ? `${name}[${key}]` : key, String(item))
+                }
+            } else {
+                search.append(name, String(value))
+            }
+        }
+        const query = search.toString()
+
+        const headers = Object.fromEntries(Object.entries(values('header', overrides.headers)).map(([name, value]) =>
+            [name, Array.isArray(value) ? value.join(',') : String(value)]))
+        const cookies = Object.fromEntries(Object.entries(values('cookie', overrides.cookies)).map(([name, value]) =>
+            [name, String(value)]))
+
+        let body = overrides.body
+        if (body === undefined && bodies.length > 0) {
+            // Prefer a JSON representation when several are declared
+            const entry = bodies.find(({ mediaType }) => this._isJsonMediaType(mediaType)) || bodies[0]
+            const { content } = route.operation.requestBody
+            const media = content[Object.keys(content).find(key => this._essence(key) === entry.mediaType)]
+            const example = pickExample(media)
+            const value = example.found
+                ? example.value
+                : generateFromSchema(media?.schema, {
+                    seed: this.mockSeed + hashSeed(`${route.operationId}:body`),
+                    resolveRef: (ref) => this._resolveRef(ref),
+                })
+
+            const essence = this._essence(entry.mediaType)
+            if (FORM_MEDIA_TYPES.includes(essence) && value && typeof value === 'object') {
+                body = essence === 'multipart/form-data' ? new FormData() : new URLSearchParams()
+                for (const [key, item] of Object.entries(value)) {
+                    for (const part of [].concat(item)) body.append(key, typeof part === 'object' ? JSON.stringify(part) : String(part))
+                }
+            } else if (!this._isJsonMediaType(entry.mediaType)) {
+                body = typeof value === 'string' ? value : JSON.stringify(value)
+                headers['Content-Type'] ??= entry.mediaType.includes('*') ? 'application/octet-stream' : entry.mediaType
+            } else {
+                body = value
+                headers['Content-Type'] ??= entry.mediaType
+            }
+        }
+
+        return { url: query ? `${path}?${query}` : path, headers, cookies, body }
+    }
+
+    // Helper to check an injected response against the operation's documented responses (contract test failures)
+    _contractFailures(route, response) {
+        const status = String(response.status)
+        const spec = this._responseSpec(route, response.status)
+
+        if (!spec) {
+            return [`status ${status} is not documented`]
+        }
+
+        const failures = this._headerErrors(spec.headers, response.headers).map(error => error.instancePath
+            ? `header ${error.instancePath.slice(1)} ${error.message}`
+            : `headers ${error.message}`)
+
+        const describe = (label, errors) => errors.map(error => `${label} ${error.instancePath || '/'} ${error.message}`)
+
+        const contentType = response.headers.get('content-type')
+        const media = this._responseMedia(spec, contentType)
+
+        if (spec.content.length === 0 || status === '204' || status === '304') return failures
+
+        // The media type of the response picks the validator: JSON media are parsed from the text
+        // (a JSON string is a valid body), any other media is validated as text
+        const { text } = response
+        if (text === '') {
+            failures.push(`status ${status} should have a body`)
+        } else if (!media) {
+            failures.push(`Content-Type ${contentType} is not documented for status ${status}`)
+        } else if (media.validator && media.stream) {
+            const splitter = this._streamSplitter(media.stream)
+            const items = [...splitter.push(text), ...splitter.flush()]
+            items.forEach((item, index) => {
+                failures.push(...describe(`${media.stream === 'sse' ? 'event' : 'line'} ${index + 1}`, this._streamItemErrors(media, item)))
+            })
+        } else if (media.validator && media.format === 'json') {
+            let data
+            try {
+                data = JSON.parse(text)
+            } catch {
+                failures.push('response body must be valid JSON')
+            }
+            if (data !== undefined && !media.validator(data)) {
+                failures.push(...describe('response body', media.validator.errors || []))
+            }
+        } else if (media.validator && !media.validator(text)) {
+            failures.push(...describe('response body', media.validator.errors || []))
+        }
+
+        return failures
+    }
+
+    // Resolve a local JSON pointer ($ref) against the served document, or the one being compiled
+    _resolveRef(ref, root = this.spec) {
+        if (!ref.startsWith('#/')) return undefined
+        let node = root
+        for (const segment of ref.slice(2).split('/')) {
+            node = node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')]
+        }
+        return node
+    }
+
+    // Strict: Validate response against the documented status codes, headers and schemas
+    // (also runs without strict when writeOnly properties have to be removed).
+    // Streams (SSE, NDJSON) are checked item by item as they are sent, without buffering.
+    // `checked` holds the errors of a JSON body validated before it was serialized (see _sendResult).
+    async _validateResponse(route, response, req, checked = null) {
+        const { operationId, validators } = route
+
+        const strict = this.strictResponseValidation
+        const stripWriteOnly = this.writeOnlyMode === 'remove'
+
+        if (!(strict || stripWriteOnly) || validators.responses.size === 0) return response
+
+        const statusCode = response.status.toString()
+        const spec = this._responseSpec(route, response.status)
+
+        if (!spec) {
+            if (strict) console.warn(`Response Validation Warning: Status ${statusCode} is not documented for ${operationId}.`)
+            return response
+        }
+
+        const contentType = response.headers.get('content-type')
+        const media = this._responseMedia(spec, contentType)
+        const details = strict ? this._headerErrors(spec.headers, response.headers) : []
+
+        if (strict && response.body && contentType && spec.content.length === 0) {
+            console.warn(`Response Validation Warning: Status ${statusCode} does not expect body for ${operationId}.`)
+        } else if (strict && response.body && contentType && !media) {
+            console.warn(`Response Validation Warning: Content-Type ${contentType} is not documented for status ${statusCode} of ${operationId}.`)
+        } else if (strict && !response.body && spec.content.length > 0 && statusCode !== '204' && statusCode !== '304') {
+            console.warn(`Response Validation Warning: Status ${statusCode} expected body for ${operationId} but did not found.`)
+        }
 
-                        return formatted
+        if (checked) {
+            details.push(...checked)
+        } else if (media?.validator && response.body) {
+            if (media.stream) {
+                if (strict) response = this._validateStream(route, response, media)
+            } else if (media.format === 'json') {
+                let responseData
+                try {
+                    // Clone the response before reading the stream
+                    responseData = await response.clone().json()
+                } catch(e) {
+                    responseData = undefined
+                }
+
+                if (responseData === undefined) {
+                    details.push({ instancePath: '', keyword: 'contentMediaType', params: {}, message: 'must be valid JSON' })
+                } else {
+                    if (strict && (statusCode === '204' || statusCode === '304')) {
+                        console.warn(`Response Validation Warning: Attempted to return body on status ${statusCode} for ${operationId}.`)
                     }
 
-                    if (typeof formatted === 'object' && formatted !== null) {
-                        return Response.json(formatted, {
-                            status: 404,
-                            headers: {
-                                ...this.CORS_HEADERS,
-                                'Content-Type': 'application/json'
-                            }
+                    // The validator deletes writeOnly properties from responseData in 'remove' mode
+                    const valid = media.validator(responseData)
+                    if (stripWriteOnly) {
+                        const headers = new Headers(response.headers)
+                        headers.delete('content-length')
+                        response = new Response(JSON.stringify(responseData), {
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers,
                         })
                     }
+                    if (!valid) details.push(...media.validator.errors || [])
+                }
+            } else if (strict) {
+                if (!media.validator(await response.clone().text())) details.push(...media.validator.errors || [])
+            }
+        }
+
+        if (strict && details.length > 0) {
+            // Developer Error: Log the failure prominently
+            const errMessage = `Response Validation Warning: Status ${statusCode} for ${operationId} failed validation against OpenAPI schema.`
+            
+            console.error(errMessage, details)
+            
+            // In production with strict: true but production: just log, don't break client
+            if (this.development) {
+                return this._createErrorResponse(500, 'CONTRACT_VIOLATION', errMessage, details, { req, operationId })
+            }
+        }
+
+        return response
+    }
+
+    // Helper to find the documented response of a status: exact code, then `2XX`-style range, then `default`
+    _responseSpec(route, status) {
+        const { responses } = route.validators
+        const code = String(status)
+        const key = [code, `${code[0]}XX`, `${code[0]}xx`, 'default'].find(candidate => responses.has(candidate))
+        return key === undefined ? null : responses.get(key)
+    }
+
+    // Helper to find the documented media type of a Content-Type (exact, then `type/*`, then `*/*`).
+    // Without Content-Type (e.g. `new Response(text)`), a single documented media type is assumed.
+    _responseMedia(spec, contentType) {
+        if (!contentType) return spec.content.length === 1 ? spec.content[0] : null
+        const essence = this._essence(contentType)
+        const range = `${essence.split('/')[0]}/*`
+        return spec.content.find(media => media.mediaType === essence)
+            || spec.content.find(media => media.mediaType === range)
+            || spec.content.find(media => media.mediaType === '*/*')
+            || null
+    }
+
+    // Helper to validate the declared response headers. Returns Ajv errors (`instancePath` is the header name).
+    _headerErrors(headers, responseHeaders) {
+        if (!headers) return []
+        const values = {}
+        for (const name of headers.names) {
+            const value = responseHeaders.get(name)
+            if (value !== null) values[name] = value
+        }
+        if (headers.validator(values)) return []
+        return headers.validator.errors.map(error => ({ ...error, in: 'header' }))
+    }
+
+    // Helper to validate a streaming response while it is sent: each SSE event or NDJSON line
+    // is checked as soon as it is complete, and violations are logged (the status is already sent)
+    _validateStream(route, response, media) {
+        const decoder = new TextDecoder()
+        const splitter = this._streamSplitter(media.stream)
+        const label = media.stream === 'sse' ? 'Event' : 'Line'
+        let index = 0
+
+        const check = (items) => {
+            for (const item of items) {
+                index++
+                const errors = this._streamItemErrors(media, item)
+                if (errors.length > 0) {
+                    console.warn(`Response Validation Warning: ${label} ${index} of ${route.operationId} failed validation against OpenAPI schema.`, errors)
+                }
+            }
+        }
+
+        const body = response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                controller.enqueue(chunk)
+                check(splitter.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })))
+            },
+            flush() {
+                check(splitter.push(decoder.decode()))
+                check(splitter.flush())
+            },
+        }))
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        })
+    }
 
-                } catch(err) {
-                    console.error(`Unhandled error in NOT_FOUND handler:`, err)
-                    return this._createErrorResponse(500, 'HANDLER_ERROR', 'Internal handler error')
+    // Helper to split streamed text into complete items: SSE events (`{ data, event, id, retry }`) or NDJSON lines
+    _streamSplitter(kind) {
+        const separator = kind === 'sse' ? /\r\n\r\n|\n\n|\r\r/ : /\r?\n/
+
+        const parse = kind === 'sse'
+            ? (block) => {
+                const event = {}
+                const data = []
+                for (const line of block.split(/\r\n|\r|\n/)) {
+                    if (line === '' || line.startsWith(':')) continue
+                    const colon = line.indexOf(':')
+                    const field = colon === -1 ? line : line.slice(0, colon)
+                    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+                    if (field === 'data') data.push(value)
+                    else if (field === 'event' || field === 'id') event[field] = value
+                    else if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value)
                 }
+                // Blocks without data (comments, retry only) do not dispatch an event
+                return data.length > 0 ? { data: data.join('\n'), ...event } : null
+            }
+            : (line) => line.trim() === '' ? null : line
+
+        let buffer = ''
+        return {
+            push(text) {
+                buffer += text
+                const parts = buffer.split(separator)
+                buffer = parts.pop()
+                return parts.map(parse).filter(item => item !== null)
+            },
+            flush() {
+                const rest = buffer
+                buffer = ''
+                return [rest].map(parse).filter(item => item !== null)
+            },
+        }
+    }
 
+    // Helper to validate one stream item (an SSE event or an NDJSON line). Returns Ajv errors.
+    _streamItemErrors(media, item) {
+        let value
+        try {
+            value = media.stream === 'ndjson'
+                ? JSON.parse(item)
+                : media.eventSchema ? item : media.format === 'json' ? JSON.parse(item.data) : item.data
+        } catch {
+            return [{ instancePath: '', keyword: 'contentMediaType', params: {}, message: 'must be valid JSON' }]
+        }
+        return media.validator(value) ? [] : media.validator.errors || []
+    }
+
+    // Errors thrown by hooks or the handler: onError hooks may answer with a Response,
+    // otherwise a generic 500 is returned
+    async _handleOperationError(route, err, context, securityContext, req) {
+        for (const fn of this._scopedHooks('onError', route)) {
+            try {
+                const result = await fn(context, err, securityContext)
+                if (result instanceof Response) return result
+            } catch (hookErr) {
+                console.error(`Unhandled error in onError hook for ${route.operationId}:`, hookErr)
             }
+        }
 
-            return new Response('Not Found', { 
-                status: 404, 
-                headers: this.CORS_HEADERS 
-            })
+        console.error(`Unhandled error in handler ${route.operationId}:`, err)
+        return this._createErrorResponse(500, 'HANDLER_ERROR', 'Internal handler error', [], { req, operationId: route.operationId })
+    }
+
+    // Run the hooks of a phase in registration order, the first one returning a Response short-circuits
+    async _runHooks(phase, route, ...args) {
+        for (const fn of this._scopedHooks(phase, route)) {
+            const result = await fn(...args)
+            if (result instanceof Response) return result
         }
+        return null
+    }
 
-        return routes
+    // Hooks of a phase that apply to a route (global, or scoped to one of its tags / its operationId).
+    // A mounted instance runs the hooks of the instance it is mounted on first.
+    _scopedHooks(phase, route) {
+        const matched = this._parent ? this._parent._scopedHooks(phase, route) : []
+        for (const { fn, scope } of this.hooks[phase]) {
+            if (!scope
+                || scope.tags.some(tag => route.tags.includes(tag))
+                || scope.operationIds.includes(route.operationId)) {
+                matched.push(fn)
+            }
+        }
+        return matched
+    }
+
+    // Security handler of a scheme, falling back to the instance this one is mounted on
+    _securityHandler(schemeName) {
+        return this.securityHandlers.get(schemeName) ?? this._parent?._securityHandler(schemeName) ?? null
+    }
+
+    // Error handler, falling back to the instance this one is mounted on
+    _sharedErrorHandler() {
+        return this._errorHandler ?? this._parent?._sharedErrorHandler() ?? null
+    }
+
+    // Helper to run security requirements.
+    // The array lists alternatives (OR): the first requirement object that passes wins.
+    // Every scheme inside one requirement object must pass (AND), and `{}` allows anonymous access.
+    // Alternatives using a scheme without a handler are skipped (500 ERR_CONFIG when none is left).
+    // Returns null when authorized, otherwise the error Response to send, built once every alternative failed.
+    async _checkSecurity(requirements, context, securityContext, meta = {}) {
+        let denied = null
+
+        for (let index = 0; index < requirements.length; index++) {
+            const requirement = requirements[index] || {}
+            const schemes = Object.keys(requirement)
+
+            const unconfigured = schemes.find(schemeName => !this._securityHandler(schemeName)
+                && !(this._verifyJwt && isJwtScheme(this.securitySchemes[schemeName])))
+            if (unconfigured) {
+                console.error(`Security scheme "${unconfigured}" not implemented in security handlers`)
+                continue
+            }
+
+            // Each alternative writes to its own scratch context so a failed
+            // attempt does not leak partial state into the next one
+            const scratch = {}
+            let failure = null
+
+            for (const schemeName of schemes) {
+                const requiredScopes = requirement[schemeName] || []
+                const authHandler = this._securityHandler(schemeName)
+                const scheme = this.securitySchemes[schemeName]
+                const verifyJwt = this._verifyJwt && isJwtScheme(scheme)
+
+                const credential = this._extractCredential(scheme, context)
+
+                if (credential === undefined) {
+                    failure = { status: 401, code: 'UNAUTHORIZED', message: 'Unauthorized', challenge: this._authChallenge(scheme) }
+                    break
+                }
+
+                // Local JWT verification runs first; the handler (optional) sees the claims in securityContext
+                if (verifyJwt) {
+                    failure = await this._checkJwt(credential, requiredScopes, scratch)
+                    if (failure) break
+                    if (!authHandler) continue
+                }
+
+                try {
+
+                    const authorized = await authHandler(credential, requiredScopes, scratch, context)
+
+                    if (Array.isArray(authorized)) {
+                        // Granted scopes: every required scope must be among them
+                        failure = this._checkScopes(scheme, requiredScopes, authorized)
+                    } else if (authorized !== true) {
+                        // If handler returns false or throws → unauthorized
+                        failure = authorized instanceof Response
+                            ? authorized
+                            : { status: 401, code: 'UNAUTHORIZED', message: 'Unauthorized' }
+                    }
+
+                } catch (err) {
+                    console.error(`Auth handler error for ${schemeName}:`, err)
+                    failure = err instanceof Response
+                        ? err
+                        : { status: 403, code: 'FORBIDDEN', message: 'Forbidden' }
+                }
+
+                if (failure) break
+            }
+
+            if (!failure) {
+                Object.assign(securityContext, scratch)
+                securityContext.satisfied = { index, schemes, requirement }
+                return null
+            }
+
+            // Report the failure of the first (preferred) alternative
+            if (!denied) denied = failure
+        }
+
+        if (!denied) return this._createErrorResponse(500, 'ERR_CONFIG', 'Internal configuration error', [], meta)
+        if (denied instanceof Response) return denied
+
+        const response = await this._createErrorResponse(denied.status, denied.code, denied.message, [], meta)
+        if (denied.challenge) response.headers.set('WWW-Authenticate', denied.challenge)
+        return response
+    }
+
+    // Helper to verify a JWT bearer token and its scopes, storing the claims in securityContext.
+    // Returns null when valid, otherwise the 401/403 failure (see _checkSecurity).
+    async _checkJwt(token, requiredScopes, securityContext) {
+        let claims
+        try {
+            claims = await this._verifyJwt(token)
+        } catch (err) {
+            const expired = err.code === 'ERR_JWT_EXPIRED'
+            const description = expired ? 'The access token expired' : 'The access token is invalid'
+            return {
+                status: 401,
+                code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+                message: description,
+                challenge: `Bearer error="invalid_token", error_description="${description}"`,
+            }
+        }
+
+        securityContext.claims = claims
+        return this._checkScopes({ type: 'openIdConnect' }, requiredScopes, tokenScopes(claims))
+    }
+
+    // Helper to compare the required scopes with the granted ones (403 insufficient_scope when one is missing)
+    _checkScopes(scheme, requiredScopes, granted) {
+        const missing = requiredScopes.filter(scope => !granted.includes(scope))
+        if (missing.length === 0) return null
+
+        const challenge = this._authChallenge(scheme) || 'Bearer'
+        return {
+            status: 403,
+            code: 'INSUFFICIENT_SCOPE',
+            message: `Missing required scope(s): ${missing.join(' ')}`,
+            challenge: `${challenge} error="insufficient_scope", scope="${requiredScopes.join(' ')}"`,
+        }
+    }
+
+    // Helper to extract the credential of a security scheme from the request.
+    // Returns undefined when it is missing, null for schemes without a credential to extract (e.g. mutualTLS).
+    _extractCredential(scheme, context) {
+        if (!scheme) return null
+
+        if (scheme.type === 'apiKey') {
+            const value = scheme.in === 'header'
+                ? context.headers.get(scheme.name)
+                : scheme.in === 'query'
+                    ? new URL(context.url).searchParams.get(scheme.name)
+                    : scheme.in === 'cookie'
+                        ? context.cookies.get(scheme.name)
+                        : null
+            return value ? value : undefined
+        }
+
+        if (scheme.type === 'http' || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+            const match = /^(\S+)\s+(.+)$/.exec(context.headers.get('authorization') || '')
+            const expected = scheme.type === 'http' ? scheme.scheme || '' : 'bearer'
+            if (!match || match[1].toLowerCase() !== expected.toLowerCase()) return undefined
+
+            const token = match[2].trim()
+            if (expected.toLowerCase() !== 'basic') return token
+
+            if (!/^[A-Za-z0-9+/]+={0,2}$/.test(token)) return undefined
+            const decoded = Buffer.from(token, 'base64').toString('utf8')
+            const separator = decoded.indexOf(':')
+            if (separator === -1) return undefined
+            return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) }
+        }
+
+        return null
+    }
+
+    // Helper to build the WWW-Authenticate challenge of a security scheme (null for API keys)
+    _authChallenge(scheme) {
+        if (scheme?.type === 'http' && scheme.scheme) {
+            const name = scheme.scheme.toLowerCase()
+            return name === 'basic' ? 'Basic' : name === 'bearer' ? 'Bearer' : scheme.scheme
+        }
+        if (scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') return 'Bearer'
+        return null
     }
 
-    // Helper to create error response
+    // Helper to create error response.
+    // `location` tells where validation details come from: query, path, header, cookie or body.
     async _createErrorResponse(
         status = 500, 
         code = 'SERVER_ERROR', 
         message = 'An unexpected error occurred', 
-        details = []
+        details = [],
+        { req = null, operationId = null, location = null } = {}
     ) {
         const safeDetails = this.development
             ? details
@@ -586,24 +2690,24 @@ class BunOpenAPI {
                 keyword: e.keyword,
                 // omit dataPath, params, etc.
             }))
+
+        const errors = location ? this._problemErrors(details, location) : []
+        const errorHandler = this._sharedErrorHandler()
         
-        if (this._errorHandler) {
+        if (errorHandler) {
             try {
 
-                const formatted = await this._errorHandler({
+                const formatted = await errorHandler({
                     status,
                     code,
                     message,
-                    details: safeDetails
+                    details: safeDetails,
+                    errors,
+                    request: req,
+                    operationId,
                 })
 
                 if (formatted instanceof Response) {
-
-                    // Attach cors headers
-                    for (const [key, value] of Object.entries(this.CORS_HEADERS)) {
-                        formatted.headers.set(key, value)
-                    }
-
                     return formatted
                 }
 
@@ -611,8 +2715,7 @@ class BunOpenAPI {
                     return Response.json(formatted, {
                         status,
                         headers: {
-                            ...this.CORS_HEADERS,
-                            'Content-Type': 'application/json'
+                            'Content-Type': this.errorFormat === 'problem' ? 'application/problem+json' : 'application/json'
                         }
                     })
                 }
@@ -621,6 +2724,25 @@ class BunOpenAPI {
                 console.error('Custom error handler threw an error. Falling back to default error response.', err)
             }
         }
+
+        if (this.errorFormat === 'problem') {
+            // RFC 9457 problem details; `code` and `errors` are extension members
+            const problem = {
+                type: 'about:blank',
+                title: STATUS_CODES[status] || 'Error',
+                status,
+                detail: this.development ? message : this._genericErrorMessage(status),
+                ...(req ? { instance: new URL(req.url).pathname } : {}),
+                code,
+                ...(errors.length > 0 ? { errors } : {}),
+            }
+            return Response.json(problem, {
+                status,
+                headers: {
+                    'Content-Type': 'application/problem+json',
+                }
+            })
+        }
         
         const isVerbose = this.development && details.length > 0
         
@@ -631,121 +2753,201 @@ class BunOpenAPI {
         }
 
         if (!isVerbose && status >= 400) {
-            delete body.code
-
-            if (status === 401) {
-                body.message = 'Authentication required or token is invalid.'
-            } else if (status === 403) {
-                body.message = 'You are forbidden from accessing this resource.'
-            } else if (status === 404) {
-                body.message = 'Resource not found.'
-            } else if (status < 500) { 
-                // All other 4xx (400, 405, etc.) validation/input errors
-                body.message = 'The request data is invalid or missing required parameters.'
-            } else {
-                // 5xx errors
-                body.message = 'An unexpected server error occurred.'
-            }
+            if (!CLIENT_ERROR_CODES.has(code)) delete body.code
+            body.message = this._genericErrorMessage(status)
         }
 
         return Response.json(body, {
             status,
             headers: {
-                ...this.CORS_HEADERS,
                 'Content-Type': 'application/json',
             }
         })
 
     }
 
-    // Helper to compile validation functions
-    _compileValidators(operation) {
-        const validators = { query: null, path: null, body: null, responses: new Map() }
+    // Helper for the client-facing message when error details are hidden
+    _genericErrorMessage(status) {
+        if (status === 401) {
+            return 'Authentication required or token is invalid.'
+        } else if (status === 403) {
+            return 'You are forbidden from accessing this resource.'
+        } else if (status === 404) {
+            return 'Resource not found.'
+        } else if (status < 500) { 
+            // All other 4xx (400, 405, etc.) validation/input errors
+            return 'The request data is invalid or missing required parameters.'
+        }
+        // 5xx errors
+        return 'An unexpected server error occurred.'
+    }
 
-        if (operation.requestBody && operation.requestBody.content) {
-            let schema = null
-            let isMultiPart = false // Additional processing needed if file upload
+    // Helper to turn Ajv errors into `{ pointer, parameter, in, message }` entries.
+    // Parameter schemas are objects keyed by parameter name, so the first segment names the parameter.
+    _problemErrors(details, location) {
+        const escape = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')
+        const unescape = (segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~')
 
-            // 1. Check for JSON (Standard API body)
-            schema = operation.requestBody.content['application/json']?.schema;
-            
-            // 2. Check for Form Data (Files/multipart/x-www-form-urlencoded)
-            if (!schema) {
-                schema = operation.requestBody.content['multipart/form-data']?.schema;
-                isMultiPart = true
+        return details.map(error => {
+            let pointer = error.instancePath || ''
+            if (error.keyword === 'required' && error.params?.missingProperty !== undefined) {
+                pointer += `/${escape(error.params.missingProperty)}`
             }
-            if (!schema) {
-                schema = operation.requestBody.content['application/x-www-form-urlencoded']?.schema;
+
+            if (location === 'body') {
+                return { pointer: `#${pointer}`, in: 'body', message: error.message }
+            }
+
+            const [, parameter = '', ...rest] = pointer.split('/')
+            return {
+                pointer: `#${rest.map(segment => `/${segment}`).join('')}`,
+                parameter: unescape(parameter),
+                in: location,
+                message: error.message,
             }
+        })
+    }
+
+    // Helper to compile the validator of one response media type.
+    // `format` tells how the body (or each stream item) is decoded: 'json' or 'text'.
+    // SSE streams validate each event's data, or the whole event (`{ data, event, id, retry }`) with an `itemSchema`;
+    // NDJSON streams validate each line, against `itemSchema` or the `items` of an array schema.
+    _compileResponseMedia(operationId, statusCode, mediaType, media, ajv) {
+        const essence = this._essence(mediaType)
+        const stream = essence === 'text/event-stream' ? 'sse' : NDJSON_MEDIA_TYPES.includes(essence) ? 'ndjson' : null
+
+        let schema = media.itemSchema ?? media.schema
+        if (stream && !media.itemSchema && schema?.type === 'array' && schema.items) schema = schema.items
+
+        const validates = this._isJsonMediaType(essence) || essence.startsWith('text/') || stream
+        const entry = {
+            mediaType: essence,
+            stream,
+            eventSchema: stream === 'sse' && media.itemSchema !== undefined,
+            format: this._isJsonMediaType(essence) || stream === 'ndjson' || (stream === 'sse' && schema?.type !== 'string')
+                ? 'json'
+                : 'text',
+            validator: null,
+        }
+        if (!schema || !validates) return entry
+
+        // Text bodies can only match non-string schemas once coerced; JSON values are validated as they are
+        const responseAjv = entry.format === 'text' ? ajv.responseText : ajv.response
+        if (schema['$ref']) {
+            // Try to get compiled schema from Ajv registry
+            entry.validator = responseAjv.getSchema(schema['$ref'].split('/').pop()) || null
+        } else {
+            // Compile inline schema
+            entry.validator = responseAjv.compile(this._prepareSchema(schema, 'response', ajv.doc))
+        }
+        if (!entry.validator) {
+            console.warn(`Could not compile response schema for ${operationId} (Status ${statusCode}, ${mediaType}). Schema not found in components.`)
+        }
+        return entry
+    }
+
+    // Helper to compile the declared headers of a response (Content-Type is described by `content`)
+    _compileResponseHeaders(headers, ajv) {
+        const params = Object.entries(headers)
+            .filter(([name]) => name.toLowerCase() !== 'content-type')
+            .map(([name, header]) => ({ name, required: header?.required === true, schema: header?.schema || {} }))
+
+        if (params.length === 0) return null
+        return {
+            names: params.map(param => param.name),
+            validator: ajv.responseText.compile(this._prepareSchema(this._convertParamsToSchema(params))),
+        }
+    }
 
-            if (schema) {
-                if (schema['$ref']) {
-                    const schemaKey = schema['$ref'].split('/').pop();
-                    const compiled = this.ajv.getSchema(schemaKey)
-                    if (compiled) {
-                        validators.body = compiled
+    // Parameters of an operation: those of its path item, overridden by the operation's own
+    // with the same name and location (as in the generated types)
+    _operationParameters(pathItem, operation, doc) {
+        const merged = new Map()
+        for (const param of [...pathItem.parameters || [], ...operation.parameters || []]) {
+            const resolved = param?.$ref ? this._resolveRef(param.$ref, doc) : param
+            if (resolved?.name) merged.set(`${resolved.in}:${resolved.name}`, resolved)
+        }
+        return [...merged.values()]
+    }
+
+    // Helper to compile validation functions with the Ajv instances of _createValidatorSet.
+    // `parameters` are the operation's, merged with those of its path item (see _operationParameters)
+    _compileValidators(operation, ajv, parameters) {
+        const validators = { query: null, path: null, header: null, cookie: null, bodies: [], bodyRequired: false, responses: new Map() }
+
+        // Parameter definitions by location, needed at request time to decode style/explode
+        validators.params = { query: [], path: [], header: [], cookie: [] }
+
+        // Request Body Validators (one per declared media type, wildcards included)
+        if (operation.requestBody && operation.requestBody.content) {
+            validators.bodyRequired = operation.requestBody.required === true
+
+            for (const mediaType in operation.requestBody.content) {
+                const schema = operation.requestBody.content[mediaType]?.schema
+                let validator = null
+
+                if (schema) {
+                    if (schema['$ref']) {
+                        const schemaKey = schema['$ref'].split('/').pop();
+                        validator = ajv.body.getSchema(schemaKey) || null
+                        if (!validator) {
+                            console.warn(`Referenced schema ${schemaKey} not found in components.schemas`)
+                        }
                     } else {
-                        console.warn(`Referenced schema ${schemaKey} not found in components.schemas`)
-                    }
-                } else {
-                    if (isMultiPart) {
-                        this._patchBinaryTypes(schema)
+                        const prepared = this._prepareSchema(schema, 'request', ajv.doc)
+                        validator = ajv.body.compile(this.removeAdditional ? this._closeObjects(prepared) : prepared)
                     }
-                    validators.body = this.ajv.compile(schema)
                 }
+
+                validators.bodies.push({ mediaType: this._essence(mediaType), validator })
             }
-            
         }
 
-        if (operation.parameters && operation.parameters.length > 0) {
-            // Group params by type (query vs path)
-            const queryParams = operation.parameters.filter(p => p.in === 'query')
-            const pathParams = operation.parameters.filter(p => p.in === 'path')
+        if (parameters.length > 0) {
+            // Group params by location (query, path, header, cookie)
+            const queryParams = parameters.filter(p => p.in === 'query')
+            const pathParams = parameters.filter(p => p.in === 'path')
+            // OpenAPI: header parameters named Accept, Content-Type or Authorization are ignored
+            const headerParams = parameters.filter(p => p.in === 'header' && !IGNORED_HEADER_PARAMS.includes(p.name.toLowerCase()))
+            const cookieParams = parameters.filter(p => p.in === 'cookie')
+
+            validators.params = { query: queryParams, path: pathParams, header: headerParams, cookie: cookieParams }
 
             if (queryParams.length > 0) {
-                const schema = this._convertParamsToSchema(queryParams)
-                validators.query = this.ajv.compile(schema)
+                const schema = this._prepareSchema(this._convertParamsToSchema(queryParams))
+                validators.query = ajv.request.compile(schema)
             }
 
             if (pathParams.length > 0) {
-                const schema = this._convertParamsToSchema(pathParams)
-                validators.path = this.ajv.compile(schema)
+                const schema = this._prepareSchema(this._convertParamsToSchema(pathParams))
+                validators.path = ajv.request.compile(schema)
+            }
+
+            if (headerParams.length > 0) {
+                const schema = this._prepareSchema(this._convertParamsToSchema(headerParams))
+                validators.header = ajv.request.compile(schema)
+            }
+
+            if (cookieParams.length > 0) {
+                const schema = this._prepareSchema(this._convertParamsToSchema(cookieParams))
+                validators.cookie = ajv.request.compile(schema)
             }
         }
 
-        // Compile Response Validators
+        // Compile Response Validators: by status key (200, 2XX, default), one entry per media type, and the headers
         if (operation.responses) {
             for (const statusCode in operation.responses) {
-                const response = operation.responses[statusCode]
-                const responseSchema = response?.content?.['application/json']?.schema
+                const response = operation.responses[statusCode] || {}
 
-                if (responseSchema) {
-                    
-                    if (statusCode === '204' || statusCode === '304') {
-                        console.warn(`Invalid OpenAPI Spec Warning: Status ${statusCode} should not have content field in operation ${operation.operationId}.`)
-                    }
-
-                    let validator
-                    if (responseSchema['$ref']) {
-                        const schemaKey = responseSchema['$ref'].split('/').pop()
-                        // Try to get compiled schema from Ajv registry
-                        validator = this.ajv.getSchema(schemaKey)
-                    } else {
-                        // Compile inline schema
-                        validator = this.ajv.compile(responseSchema)
-                    }
-                    
-                    if (validator) {
-                        validators.responses.set(statusCode, validator)
-                    } else {
-                        console.warn(`Could not compile response schema for ${operation.operationId} (Status ${statusCode}). Schema not found in components.`)
-                        validators.responses.set(statusCode, null)
-                    }
-
-                } else {
-                    // Assuming other Content-Type aside from application/json
-                    validators.responses.set(statusCode, null)
+                if (response.content && (statusCode === '204' || statusCode === '304')) {
+                    console.warn(`Invalid OpenAPI Spec Warning: Status ${statusCode} should not have content field in operation ${operation.operationId}.`)
                 }
+
+                validators.responses.set(statusCode, {
+                    content: Object.entries(response.content || {}).map(([mediaType, media]) =>
+                        this._compileResponseMedia(operation.operationId, statusCode, mediaType, media || {}, ajv)),
+                    headers: this._compileResponseHeaders(response.headers || {}, ajv),
+                })
             }
         }
         
@@ -753,6 +2955,140 @@ class BunOpenAPI {
 
     }
 
+    // Request to read the body from, or null when the payload is empty. Without a Content-Length
+    // (e.g. chunked), the first chunk tells, and is put back in front of the stream.
+    async _requestWithBody(req) {
+        if (req.body === null || req.headers.get('Content-Length') === '0') return null
+        if (req.headers.has('Content-Length')) return req
+
+        const reader = req.body.getReader()
+        let first = await reader.read()
+        while (!first.done && first.value.byteLength === 0) first = await reader.read()
+        if (first.done) return null
+
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(first.value)
+            },
+            async pull(controller) {
+                const { done, value } = await reader.read()
+                if (done) controller.close()
+                else controller.enqueue(value)
+            },
+            cancel(reason) {
+                return reader.cancel(reason)
+            },
+        })
+        return new Request(req, { body, duplex: 'half' })
+    }
+
+    // Pick the declared request body entry that best matches the request's Content-Type
+    _matchBodyEntry(contentType, entries) {
+        const mediaType = this._matchMediaType(contentType, entries.map(e => e.mediaType))
+        return mediaType === null ? null : entries.find(e => e.mediaType === mediaType)
+    }
+
+    // Find the body parser for a Content-Type (registered parsers first, then built-ins)
+    _findBodyParser(contentType) {
+        const ranges = [...this.bodyParsers.keys(), ...Object.keys(BODY_PARSERS)]
+        const range = this._matchMediaType(contentType, ranges)
+        if (range === null) return null
+        return this.bodyParsers.get(range) || BODY_PARSERS[range]
+    }
+
+    // Returns the most specific range in `ranges` matching `mediaType`, or null.
+    // Specificity: exact > type/*+suffix > type/* > */*. Ties go to the earliest range.
+    _matchMediaType(mediaType, ranges) {
+        const [type, subtype = ''] = this._essence(mediaType).split('/')
+        let best = null
+        let bestScore = -1
+
+        for (const range of ranges) {
+            const [rangeType, rangeSubtype = ''] = this._essence(range).split('/')
+            let score = -1
+
+            if (rangeType === type && rangeSubtype === subtype) {
+                score = 3
+            } else if (rangeType === '*' && rangeSubtype === '*') {
+                score = 0
+            } else if (rangeType === type || rangeType === '*') {
+                if (rangeSubtype === '*') {
+                    score = 1
+                } else if (rangeSubtype.startsWith('*+') && subtype.endsWith(rangeSubtype.slice(1))) {
+                    score = 2
+                }
+            }
+
+            if (score > bestScore) {
+                best = range
+                bestScore = score
+            }
+        }
+
+        return best
+    }
+
+    // Media types of the success (2xx) responses, in declaration order
+    _successMediaTypes(validators) {
+        const mediaTypes = new Set()
+        for (const [statusKey, spec] of validators.responses) {
+            if (!statusKey.startsWith('2')) continue
+            for (const media of spec.content) mediaTypes.add(media.mediaType)
+        }
+        return [...mediaTypes]
+    }
+
+    // Status of a bare handler result: the first documented 2xx code (200 when there is none)
+    _successStatus(validators) {
+        for (const statusKey of validators.responses.keys()) {
+            if (/^2\d\d$/.test(statusKey)) return Number(statusKey)
+        }
+        return 200
+    }
+
+    // Parse an Accept header into `{ range, q }` entries ('*' is read as '*/*')
+    _parseAccept(header) {
+        const ranges = []
+        for (const part of header.split(',')) {
+            const [range, ...params] = part.split(';').map(value => value.trim())
+            if (!range) continue
+            const qParam = params.find(param => /^q\s*=/i.test(param))
+            const q = qParam ? Number(qParam.slice(qParam.indexOf('=') + 1)) : 1
+            ranges.push({ range: range === '*' ? '*/*' : range, q: Number.isFinite(q) ? q : 0 })
+        }
+        return ranges
+    }
+
+    // Returns the `candidates` acceptable for an Accept header, by preference: q value, then the
+    // specificity of the matching range, then candidate order. No Accept header accepts everything.
+    _acceptableMediaTypes(accept, candidates) {
+        if (!accept?.trim()) return [...candidates]
+
+        const ranges = this._parseAccept(accept)
+        const names = ranges.map(entry => entry.range)
+
+        return candidates
+            .map((mediaType, index) => {
+                const range = this._matchMediaType(mediaType, names)
+                if (range === null) return null
+                const [type, subtype] = this._essence(range).split('/')
+                return { mediaType, index, q: ranges[names.indexOf(range)].q, specificity: (type !== '*') + (subtype !== '*') }
+            })
+            .filter(entry => entry && entry.q > 0)
+            .sort((a, b) => b.q - a.q || b.specificity - a.specificity || a.index - b.index)
+            .map(entry => entry.mediaType)
+    }
+
+    // 'Application/JSON; charset=utf-8' → 'application/json'
+    _essence(mediaType) {
+        return mediaType.split(';')[0].trim().toLowerCase()
+    }
+
+    _isJsonMediaType(mediaType) {
+        const essence = this._essence(mediaType)
+        return essence === 'application/json' || essence.endsWith('+json')
+    }
+
     // Parse cookies
     _parseCookies(req) {
         const cookieHeader = req.headers.get('cookie') || req.headers.get('Cookie')
@@ -771,6 +3107,172 @@ class BunOpenAPI {
         return map
     }
 
+    // Decode query parameters following the OpenAPI style/explode rules
+    // (form, spaceDelimited, pipeDelimited, deepObject). Undeclared parameters are
+    // kept as strings, or arrays when repeated.
+    _deserializeQuery(searchParams, params = []) {
+        const query = {}
+        const consumed = new Set()
+
+        for (const param of params) {
+            const { name } = param
+            const style = param.style || 'form'
+            const explode = param.explode ?? style === 'form'
+            const type = this._paramType(param.schema)
+            let value
+
+            consumed.add(name)
+
+            if (type === 'object') {
+                if (style === 'deepObject') {
+                    // color[R]=100&color[G]=200
+                    const prefix = `${name}[`
+                    for (const [key, raw] of searchParams) {
+                        if (key.startsWith(prefix) && key.endsWith(']')) {
+                            value ??= {}
+                            value[key.slice(prefix.length, -1)] = raw
+                            consumed.add(key)
+                        }
+                    }
+                } else if (explode) {
+                    // R=100&G=200 (each property is its own parameter)
+                    for (const prop in param.schema?.properties || {}) {
+                        if (searchParams.has(prop)) {
+                            value ??= {}
+                            value[prop] = searchParams.get(prop)
+                            consumed.add(prop)
+                        }
+                    }
+                } else if (searchParams.has(name)) {
+                    // color=R,100,G,200
+                    value = this._pairsToObject(searchParams.get(name).split(PARAM_DELIMITERS[style] || ','))
+                }
+            } else if (searchParams.has(name)) {
+                if (type === 'array') {
+                    // tag=a&tag=b or tag=a,b / tag=a%20b / tag=a|b
+                    value = explode
+                        ? searchParams.getAll(name)
+                        : this._splitValue(searchParams.get(name), PARAM_DELIMITERS[style] || ',')
+                } else {
+                    value = searchParams.get(name)
+                }
+            }
+
+            if (value !== undefined) query[name] = value
+        }
+
+        for (const key of new Set(searchParams.keys())) {
+            if (consumed.has(key)) continue
+            const values = searchParams.getAll(key)
+            query[key] = values.length > 1 ? values : values[0]
+        }
+
+        return query
+    }
+
+    // Decode path parameters following the OpenAPI style/explode rules (simple, label, matrix).
+    // `decode` percent-decodes the items once the raw values are split.
+    _deserializePath(params, defs = [], decode = (value) => value) {
+        const decoded = {}
+        for (const name in params) {
+            decoded[name] = typeof params[name] === 'string' ? decode(params[name]) : params[name]
+        }
+        for (const param of defs) {
+            if (typeof params[param.name] === 'string') {
+                decoded[param.name] = this._deserializeValue(params[param.name], param, decode)
+            }
+        }
+        return decoded
+    }
+
+    // Decode a single serialized value (path or header) into a primitive, array or object,
+    // passing every item, key and value through `decode`
+    _deserializeValue(raw, param, decode = (value) => value) {
+        const style = param.style || 'simple'
+        const explode = param.explode ?? false
+        const type = this._paramType(param.schema)
+
+        if (style === 'label') {
+            // .5 | .3,4,5 | .3.4.5 | .role,admin | .role=admin.firstName=Alex
+            if (!raw.startsWith('.')) return decode(raw) // let the validator report it
+            const value = raw.slice(1)
+            if (type === 'array') return this._splitValue(value, explode ? '.' : ',').map(decode)
+            if (type === 'object') {
+                return explode
+                    ? this._keyValuesToObject(value.split('.'), decode)
+                    : this._pairsToObject(value.split(',').map(decode))
+            }
+            return decode(value)
+        }
+
+        if (style === 'matrix') {
+            // ;id=5 | ;id=3,4,5 | ;id=3;id=4;id=5 | ;id=role,admin | ;role=admin;firstName=Alex
+            if (!raw.startsWith(';')) return decode(raw)
+            const parts = raw.slice(1).split(';')
+            if (explode && type === 'object') return this._keyValuesToObject(parts, decode)
+            const values = parts.map(part => {
+                const eq = part.indexOf('=')
+                return eq === -1 ? '' : part.slice(eq + 1)
+            })
+            if (explode && type === 'array') return values.map(decode)
+            const value = values[0] ?? ''
+            if (type === 'array') return this._splitValue(value, ',').map(decode)
+            if (type === 'object') return this._pairsToObject(value.split(',').map(decode))
+            return decode(value)
+        }
+
+        // simple: 5 | 3,4,5 | role,admin | role=admin,firstName=Alex
+        if (type === 'array') return this._splitValue(raw, ',').map(decode)
+        if (type === 'object') {
+            return explode
+                ? this._keyValuesToObject(raw.split(','), decode)
+                : this._pairsToObject(raw.split(',').map(decode))
+        }
+        return decode(raw)
+    }
+
+    // Resolve whether a parameter schema describes an array, an object or a primitive
+    _paramType(schema) {
+        if (!schema) return 'primitive'
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+        if (types.includes('array') || schema.items) return 'array'
+        if (types.includes('object') || schema.properties) return 'object'
+        return 'primitive'
+    }
+
+    _splitValue(value, delimiter) {
+        return value === '' ? [] : value.split(delimiter)
+    }
+
+    // ['R', '100', 'G', '200'] → { R: '100', G: '200' }
+    _pairsToObject(parts) {
+        const obj = {}
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            obj[parts[i]] = parts[i + 1]
+        }
+        return obj
+    }
+
+    // ['R=100', 'G=200'] → { R: '100', G: '200' }
+    _keyValuesToObject(parts, decode = (value) => value) {
+        const obj = {}
+        for (const part of parts) {
+            const eq = part.indexOf('=')
+            if (eq === -1) continue
+            obj[decode(part.slice(0, eq))] = decode(part.slice(eq + 1))
+        }
+        return obj
+    }
+
+    _decodeSegment(segment) {
+        if (segment === undefined) return segment
+        try {
+            return decodeURIComponent(segment)
+        } catch {
+            return segment
+        }
+    }
+
     // Helper to turn OpenAPI parameter array into JSON Schema object
     _convertParamsToSchema(params) {
         const schema = {
@@ -791,6 +3293,87 @@ class BunOpenAPI {
         return schema
     }
 
+    // Copy of a spec schema ready for Ajv: component $refs rewritten to their registered keys,
+    // binary formats patched. The copy keeps the loaded document untouched.
+    _prepareSchema(schema, variant, root) {
+        const cloned = structuredClone(schema)
+        if (variant) {
+            // readOnly properties are only required in responses, writeOnly ones only in requests
+            this._dropRequired(cloned, variant === 'request' ? 'readOnly' : 'writeOnly', root)
+        }
+        const patched = this._rewriteRefs(cloned)
+        this._patchBinaryTypes(patched)
+        return patched
+    }
+
+    // Helper for removeAdditional: object schemas that do not declare `additionalProperties` get
+    // `additionalProperties: false`, so that Ajv strips what they do not declare. Members of
+    // allOf/anyOf/oneOf (and `open` schemas) are left alone: each member would strip the others' properties.
+    _closeObjects(node, open = false, seen = new Set()) {
+        if (!node || typeof node !== 'object' || seen.has(node)) return node
+        seen.add(node)
+
+        if (!open && !Array.isArray(node) && node.properties && (node.type === undefined || node.type === 'object')
+            && node.additionalProperties === undefined && !node.patternProperties
+            && !node.allOf && !node.anyOf && !node.oneOf) {
+            node.additionalProperties = false
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'example' || key === 'examples' || key === 'default' || key === 'enum' || key === 'const') continue
+            const members = key === 'allOf' || key === 'anyOf' || key === 'oneOf'
+            if (members && Array.isArray(value)) {
+                for (const member of value) this._closeObjects(member, true, seen)
+            } else {
+                this._closeObjects(value, false, seen)
+            }
+        }
+        return node
+    }
+
+    // Names of the component schemas referenced as allOf/anyOf/oneOf members anywhere in the document
+    _compositionMembers(doc) {
+        const names = new Set()
+        const seen = new Set()
+        const visit = (node) => {
+            if (!node || typeof node !== 'object' || seen.has(node)) return
+            seen.add(node)
+            for (const key of ['allOf', 'anyOf', 'oneOf']) {
+                for (const member of Array.isArray(node[key]) ? node[key] : []) {
+                    if (typeof member?.$ref === 'string') names.add(member.$ref.split('/').pop())
+                }
+            }
+            for (const value of Object.values(node)) visit(value)
+        }
+        visit(doc)
+        return names
+    }
+
+    // Helper to remove properties flagged with `keyword` from `required` lists (before $refs are rewritten)
+    _dropRequired(node, keyword, root, seen = new Set()) {
+        if (!node || typeof node !== 'object' || seen.has(node)) return
+        seen.add(node)
+
+        if (Array.isArray(node.required) && node.properties) {
+            node.required = node.required.filter(name => {
+                let property = node.properties[name]
+                if (property?.$ref) property = this._resolveRef(property.$ref, root)
+                return property?.[keyword] !== true
+            })
+        }
+
+        // A default must not re-add a property that is rejected in this direction
+        for (const name in node.properties || {}) {
+            const property = node.properties[name]
+            if (property?.[keyword] === true) delete property.default
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'example' || key === 'examples' || key === 'default' || key === 'enum' || key === 'const') continue
+            this._dropRequired(value, keyword, root, seen)
+        }
+    }
+
     // Extract ref keyword
     _rewriteRefs(node) {
         if (node && typeof node === 'object') {
@@ -812,7 +3395,7 @@ class BunOpenAPI {
             schema.type = ['string', 'object'] // allow File
         }
 
-        if  (schema.type === 'array' && schema.items.type === 'string' && schema.items.format === 'binary') {
+        if  (schema.type === 'array' && schema.items?.type === 'string' && schema.items?.format === 'binary') {
             schema.type = ['array', 'object'] // multiple Files
         }
 
@@ -1,6 +1,9 @@
 import { describe, it, expect, beforeAll, afterAll, spyOn } from 'bun:test'
-import { unlink } from 'node:fs/promises'
+import { mkdir, rm, unlink } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { SignJWT, exportJWK, generateKeyPair } from 'jose'
 import BunOpenAPI from './index.js'
+import { generateFromSchema, pickResponse } from './mock.js'
 
 const simpleSpec = `
 openapi: 3.1.0
@@ -149,8 +152,7 @@ describe('@supershaneski/bun-openapi', () => {
     })
 
     // Global security handler
-    api.registerSecurity('apiKey', async (req, scopes) => {
-      const key = req.headers.get('x-api-key')
+    api.registerSecurity('apiKey', async (key) => {
       return key === 'secret123'
     })
 
@@ -288,3 +290,2750 @@ describe('@supershaneski/bun-openapi', () => {
   })
 
 })
+
+describe('security requirements', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Security API', version: '1.0.0' },
+    paths: {
+      '/either': {
+        get: {
+          operationId: 'getEither',
+          security: [{ cookieAuth: [] }, { apiKey: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/both': {
+        get: {
+          operationId: 'getBoth',
+          security: [{ cookieAuth: [], apiKey: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/optional': {
+        get: {
+          operationId: 'getOptional',
+          security: [{ apiKey: [] }, {}],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'session' }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec })
+
+    const echo = async (req, c) => Response.json(c.satisfied)
+    api.register('getEither', echo)
+    api.register('getBoth', echo)
+    api.register('getOptional', echo)
+
+    api.registerSecurity('apiKey', async (key, scopes, c) => {
+      c.viaKey = true
+      return key === 'secret123'
+    })
+    api.registerSecurity('cookieAuth', async (session) => {
+      return session === 'abc'
+    })
+
+    routes = await api.routes()
+  })
+
+  it('treats array entries as alternatives and records the one that passed', async () => {
+    const res1 = await routes['/either'].GET(new Request('http://localhost/either', {
+      headers: { 'x-api-key': 'secret123' }
+    }))
+    expect(res1.status).toBe(200)
+    expect(await res1.json()).toEqual({ index: 1, schemes: ['apiKey'], requirement: { apiKey: [] } })
+
+    const res2 = await routes['/either'].GET(new Request('http://localhost/either', {
+      headers: { cookie: 'session=abc' }
+    }))
+    expect((await res2.json()).schemes).toEqual(['cookieAuth'])
+
+    const res3 = await routes['/either'].GET(new Request('http://localhost/either'))
+    expect(res3.status).toBe(401)
+  })
+
+  it('requires every scheme inside one requirement object', async () => {
+    const res1 = await routes['/both'].GET(new Request('http://localhost/both', {
+      headers: { cookie: 'session=abc' }
+    }))
+    expect(res1.status).toBe(401)
+
+    const res2 = await routes['/both'].GET(new Request('http://localhost/both', {
+      headers: { cookie: 'session=abc', 'x-api-key': 'secret123' }
+    }))
+    expect(res2.status).toBe(200)
+  })
+
+  it('allows anonymous access through an empty requirement object', async () => {
+    const res = await routes['/optional'].GET(new Request('http://localhost/optional'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ index: 1, schemes: [], requirement: {} })
+  })
+
+  it('skips alternatives without a handler and builds one error once all failed', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getEither', async (req, c) => Response.json(c.satisfied))
+    api.registerSecurity('apiKey', async (key) => key === 'secret123')
+    let handled = 0
+    api.registerErrorHandler(({ status, code }) => {
+      handled++
+      return { status, code }
+    })
+    const errorSpy = spyOn(console, 'error').mockImplementation(() => {})
+
+    try {
+      const routes = await api.routes()
+      const passed = await routes['/either'].GET(new Request('http://localhost/either', { headers: { 'X-API-Key': 'secret123' } }))
+      expect(passed.status).toBe(200)
+      expect((await passed.json()).schemes).toEqual(['apiKey'])
+
+      const denied = await routes['/either'].GET(new Request('http://localhost/either', { headers: { 'X-API-Key': 'wrong' } }))
+      expect(denied.status).toBe(401)
+      expect(handled).toBe(1)
+
+      // No alternative can be checked
+      api.registerSecurity('apiKey', null)
+      const misconfigured = await routes['/either'].GET(new Request('http://localhost/either'))
+      expect(misconfigured.status).toBe(500)
+      expect((await misconfigured.json()).code).toBe('ERR_CONFIG')
+    } finally {
+      errorSpy.mockRestore()
+    }
+  })
+})
+
+describe('security scheme extractors', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Credentials API', version: '1.0.0' },
+    paths: {
+      '/key': {
+        get: {
+          operationId: 'getKey',
+          security: [{ queryKey: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/basic': {
+        get: {
+          operationId: 'getBasic',
+          security: [{ basicAuth: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/bearer': {
+        get: {
+          operationId: 'getBearer',
+          security: [{ bearerAuth: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/admin': {
+        get: {
+          operationId: 'getAdmin',
+          security: [{ oauth: ['read', 'admin'] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        queryKey: { type: 'apiKey', in: 'query', name: 'api_key' },
+        basicAuth: { type: 'http', scheme: 'basic' },
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        oauth: {
+          type: 'oauth2',
+          flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read', admin: 'Admin' } } }
+        }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec })
+
+    const echo = async (req, c) => Response.json(c.credential)
+    for (const operationId of ['getKey', 'getBasic', 'getBearer', 'getAdmin']) api.register(operationId, echo)
+
+    api.registerSecurity('queryKey', async (key, scopes, c) => {
+      c.credential = key
+      return true
+    })
+    api.registerSecurity('basicAuth', async (user, scopes, c) => {
+      c.credential = user
+      return user.password === 'secret'
+    })
+    api.registerSecurity('bearerAuth', async (token, scopes, c) => {
+      c.credential = token
+      return true
+    })
+    api.registerSecurity('oauth', async (token, scopes, c) => {
+      c.credential = token
+      return token === 'admin-token' ? ['read', 'admin'] : ['read']
+    })
+
+    routes = await api.routes()
+  })
+
+  it('passes apiKey values by the declared name', async () => {
+    const res = await routes['/key'].GET(new Request('http://localhost/key?api_key=k1'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toBe('k1')
+
+    expect((await routes['/key'].GET(new Request('http://localhost/key'))).status).toBe(401)
+  })
+
+  it('decodes http basic credentials', async () => {
+    const res = await routes['/basic'].GET(new Request('http://localhost/basic', {
+      headers: { authorization: `Basic ${btoa('alice:secret')}` }
+    }))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ username: 'alice', password: 'secret' })
+
+    const missing = await routes['/basic'].GET(new Request('http://localhost/basic'))
+    expect(missing.status).toBe(401)
+    expect(missing.headers.get('www-authenticate')).toBe('Basic')
+  })
+
+  it('passes bearer tokens and rejects other authorization schemes', async () => {
+    const res = await routes['/bearer'].GET(new Request('http://localhost/bearer', {
+      headers: { authorization: 'Bearer abc.def' }
+    }))
+    expect(await res.json()).toBe('abc.def')
+
+    const basic = await routes['/bearer'].GET(new Request('http://localhost/bearer', {
+      headers: { authorization: `Basic ${btoa('alice:secret')}` }
+    }))
+    expect(basic.status).toBe(401)
+  })
+
+  it('checks oauth2 scopes against the granted ones', async () => {
+    const ok = await routes['/admin'].GET(new Request('http://localhost/admin', {
+      headers: { authorization: 'Bearer admin-token' }
+    }))
+    expect(ok.status).toBe(200)
+
+    const res = await routes['/admin'].GET(new Request('http://localhost/admin', {
+      headers: { authorization: 'Bearer user-token' }
+    }))
+    expect(res.status).toBe(403)
+    expect(res.headers.get('www-authenticate')).toBe('Bearer error="insufficient_scope", scope="read admin"')
+  })
+})
+
+describe('jwt verification', () => {
+  const secret = 'a-shared-secret-of-at-least-256-bits!'
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'JWT API', version: '1.0.0' },
+    paths: {
+      '/me': {
+        get: {
+          operationId: 'getMe',
+          security: [{ bearerAuth: ['profile'] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  }
+
+  const sign = (claims, key = new TextEncoder().encode(secret), alg = 'HS256') => new SignJWT(claims)
+    .setProtectedHeader({ alg })
+    .setIssuer('https://auth.example.com')
+    .setExpirationTime('5m')
+    .sign(key)
+
+  const request = (token) => new Request('http://localhost/me', {
+    headers: { authorization: `Bearer ${token}` }
+  })
+
+  const createApi = async (jwt, options = { errorFormat: 'problem' }) => {
+    const api = new BunOpenAPI({ definition: spec, ...options, jwt: { issuer: 'https://auth.example.com', ...jwt } })
+    api.register('getMe', async (req, c) => Response.json(c.claims))
+    return api.routes()
+  }
+
+  it('verifies tokens with a shared secret and exposes the claims', async () => {
+    const routes = await createApi({ secret })
+    const res = await routes['/me'].GET(request(await sign({ sub: 'alice', scope: 'profile email' })))
+
+    expect(res.status).toBe(200)
+    expect(await res.json()).toMatchObject({ sub: 'alice', iss: 'https://auth.example.com' })
+  })
+
+  it('verifies tokens with a local JWKS document', async () => {
+    const { publicKey, privateKey } = await generateKeyPair('ES256')
+    const routes = await createApi({ jwks: { keys: [{ ...(await exportJWK(publicKey)), alg: 'ES256' }] } })
+
+    const res = await routes['/me'].GET(request(await sign({ sub: 'bob', scp: ['profile'] }, privateKey, 'ES256')))
+    expect(res.status).toBe(200)
+  })
+
+  it('answers 401 with distinct codes for expired and invalid tokens', async () => {
+    const routes = await createApi({ secret })
+
+    const expired = await routes['/me'].GET(request(await new SignJWT({ scope: 'profile' })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setIssuer('https://auth.example.com')
+      .setExpirationTime(Math.floor(Date.now() / 1000) - 60)
+      .sign(new TextEncoder().encode(secret))))
+    expect(expired.status).toBe(401)
+    expect(await expired.json()).toMatchObject({ code: 'TOKEN_EXPIRED' })
+    expect(expired.headers.get('www-authenticate')).toContain('error="invalid_token"')
+
+    const forged = await routes['/me'].GET(request(await sign({ scope: 'profile' }, new TextEncoder().encode('another-secret-of-at-least-256-bits!'))))
+    expect(forged.status).toBe(401)
+    expect(await forged.json()).toMatchObject({ code: 'INVALID_TOKEN' })
+  })
+
+  it('keeps the token error codes in the default error format', async () => {
+    const routes = await createApi({ secret }, {})
+
+    const expired = await routes['/me'].GET(request(await new SignJWT({ scope: 'profile' })
+      .setProtectedHeader({ alg: 'HS256' })
+      .setIssuer('https://auth.example.com')
+      .setExpirationTime(Math.floor(Date.now() / 1000) - 60)
+      .sign(new TextEncoder().encode(secret))))
+    expect(expired.status).toBe(401)
+    expect(await expired.json()).toEqual({ code: 'TOKEN_EXPIRED', message: 'Authentication required or token is invalid.' })
+
+    const forged = await routes['/me'].GET(request(await sign({ scope: 'profile' }, new TextEncoder().encode('another-secret-of-at-least-256-bits!'))))
+    expect(forged.status).toBe(401)
+    expect(await forged.json()).toEqual({ code: 'INVALID_TOKEN', message: 'Authentication required or token is invalid.' })
+  })
+
+  it('checks the token scopes and issuer', async () => {
+    const routes = await createApi({ secret })
+
+    const res = await routes['/me'].GET(request(await sign({ scope: 'email' })))
+    expect(res.status).toBe(403)
+    expect(res.headers.get('www-authenticate')).toBe('Bearer error="insufficient_scope", scope="profile"')
+
+    const other = await (await createApi({ secret, issuer: 'https://other.example.com' }))['/me'].GET(request(await sign({ scope: 'profile' })))
+    expect(other.status).toBe(401)
+  })
+})
+
+describe('csrf', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'CSRF API', version: '1.0.0' },
+    security: [{ session: [] }],
+    paths: {
+      '/notes': {
+        get: {
+          operationId: 'listNotes',
+          responses: { '200': { description: 'OK' } }
+        },
+        post: {
+          operationId: 'addNote',
+          responses: { '201': { description: 'Created' } }
+        }
+      },
+      '/status': {
+        get: {
+          operationId: 'getStatus',
+          security: [],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/feedback': {
+        post: {
+          operationId: 'sendFeedback',
+          security: [],
+          'x-csrf': true,
+          responses: { '204': { description: 'Sent' } }
+        }
+      },
+      '/webhook': {
+        post: {
+          operationId: 'webhook',
+          'x-csrf': false,
+          responses: { '204': { description: 'Received' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'sid' }
+      }
+    }
+  }
+
+  const createApi = (options = {}) => {
+    const api = new BunOpenAPI({ definition: spec, errorFormat: 'problem', csrf: true, ...options })
+    api.registerSecurity('session', async (sid) => sid === 'abc')
+    api.register('listNotes', async () => Response.json([]))
+    api.register('addNote', async () => new Response(null, { status: 201 }))
+    api.register('sendFeedback', async () => new Response(null, { status: 204 }))
+    api.register('webhook', async () => new Response(null, { status: 204 }))
+    api.register('getStatus', async () => Response.json({ up: true }))
+    return api
+  }
+
+  it('issues a token cookie on safe methods', async () => {
+    const api = createApi()
+    const res = await api.fetch(new Request('http://localhost/notes', { headers: { cookie: 'sid=abc' } }))
+
+    expect(res.status).toBe(200)
+    const token = res.headers.get('x-csrf-token')
+    expect(token).toBeTruthy()
+    expect(res.headers.getSetCookie()).toEqual([`csrfToken=${token}; Path=/; SameSite=Lax`])
+
+    const again = await api.fetch(new Request('http://localhost/notes', { headers: { cookie: `sid=abc; csrfToken=${token}` } }))
+    expect(again.headers.getSetCookie()).toEqual([])
+    expect(again.headers.get('x-csrf-token')).toBe(token)
+  })
+
+  it('only issues the token on successful safe-method responses of protected operations', async () => {
+    const api = createApi()
+    const issued = (res) => res.headers.has('x-csrf-token') || res.headers.getSetCookie().length > 0
+
+    const publicGet = await api.fetch(new Request('http://localhost/status'))
+    expect(publicGet.status).toBe(200)
+    expect(issued(publicGet)).toBe(false)
+
+    const unauthorized = await api.fetch(new Request('http://localhost/notes'))
+    expect(unauthorized.status).toBe(401)
+    expect(issued(unauthorized)).toBe(false)
+
+    const post = await api.fetch(new Request('http://localhost/notes', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc; csrfToken=t1', 'x-csrf-token': 't1' }
+    }))
+    expect(post.status).toBe(201)
+    expect(issued(post)).toBe(false)
+  })
+
+  it('rejects unsafe cookie-authenticated requests without a matching header', async () => {
+    const api = createApi()
+
+    const missing = await api.fetch(new Request('http://localhost/notes', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc; csrfToken=t1' }
+    }))
+    expect(missing.status).toBe(403)
+    expect(await missing.json()).toMatchObject({ code: 'CSRF_MISMATCH' })
+
+    const mismatch = await api.fetch(new Request('http://localhost/notes', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc; csrfToken=t1', 'x-csrf-token': 't2' }
+    }))
+    expect(mismatch.status).toBe(403)
+
+    const ok = await api.fetch(new Request('http://localhost/notes', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc; csrfToken=t1', 'x-csrf-token': 't1' }
+    }))
+    expect(ok.status).toBe(201)
+  })
+
+  it('keeps the CSRF_MISMATCH code in the default error format', async () => {
+    const api = createApi({ errorFormat: 'default' })
+
+    const res = await api.fetch(new Request('http://localhost/notes', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc; csrfToken=t1', 'x-csrf-token': 't2' }
+    }))
+    expect(res.status).toBe(403)
+    expect(await res.json()).toEqual({ code: 'CSRF_MISMATCH', message: 'You are forbidden from accessing this resource.' })
+  })
+
+  it('follows x-csrf on operations', async () => {
+    const api = createApi()
+
+    const feedback = await api.fetch(new Request('http://localhost/feedback', { method: 'POST' }))
+    expect(feedback.status).toBe(403)
+
+    const webhook = await api.fetch(new Request('http://localhost/webhook', {
+      method: 'POST',
+      headers: { cookie: 'sid=abc' }
+    }))
+    expect(webhook.status).toBe(204)
+  })
+
+  it('allows and exposes the token header with credentialed CORS', async () => {
+    const cors = { origin: ['https://app.example.com'], exposeHeaders: ['X-Request-Id'] }
+    const api = createApi({ cors })
+    expect(cors.exposeHeaders).toEqual(['X-Request-Id'])
+
+    const preflight = await api.fetch(new Request('http://localhost/notes', {
+      method: 'OPTIONS',
+      headers: {
+        origin: 'https://app.example.com',
+        'access-control-request-method': 'POST',
+        'access-control-request-headers': 'x-csrf-token'
+      }
+    }))
+    expect(preflight.status).toBe(204)
+    expect(preflight.headers.get('access-control-allow-credentials')).toBe('true')
+
+    const res = await api.fetch(new Request('http://localhost/notes', {
+      headers: { origin: 'https://app.example.com', cookie: 'sid=abc' }
+    }))
+    expect(res.headers.get('access-control-expose-headers')).toBe('X-Request-Id, X-CSRF-Token')
+  })
+})
+
+describe('header and cookie parameters', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Params API', version: '1.0.0' },
+    paths: {
+      '/orders': {
+        post: {
+          operationId: 'createOrder',
+          parameters: [
+            { name: 'Idempotency-Key', in: 'header', required: true, schema: { type: 'string' } },
+            { name: 'X-Retry-Count', in: 'header', schema: { type: 'integer' } },
+            { name: 'tenant', in: 'cookie', required: true, schema: { type: 'integer' } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('createOrder', async (req) => {
+      return Response.json({ headers: req.headerParams, cookies: req.cookieParams })
+    })
+    routes = await api.routes()
+  })
+
+  it('validates and coerces header and cookie values', async () => {
+    const res = await routes['/orders'].POST(new Request('http://localhost/orders', {
+      method: 'POST',
+      headers: { 'idempotency-key': 'abc', 'x-retry-count': '2', cookie: 'tenant=7' }
+    }))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({
+      headers: { 'Idempotency-Key': 'abc', 'X-Retry-Count': 2 },
+      cookies: { tenant: 7 }
+    })
+  })
+
+  it('rejects missing required headers and invalid cookies', async () => {
+    const res1 = await routes['/orders'].POST(new Request('http://localhost/orders', {
+      method: 'POST',
+      headers: { cookie: 'tenant=7' }
+    }))
+    expect(res1.status).toBe(400)
+    expect((await res1.json()).code).toBe('ERR_VALIDATION')
+
+    const res2 = await routes['/orders'].POST(new Request('http://localhost/orders', {
+      method: 'POST',
+      headers: { 'idempotency-key': 'abc', cookie: 'tenant=abc' }
+    }))
+    expect(res2.status).toBe(400)
+  })
+})
+
+describe('parameter serialization styles', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Styles API', version: '1.0.0' },
+    paths: {
+      '/things': {
+        get: {
+          operationId: 'listThings',
+          parameters: [
+            { name: 'tag', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+            { name: 'ids', in: 'query', explode: false, schema: { type: 'array', items: { type: 'integer' } } },
+            { name: 'sizes', in: 'query', style: 'pipeDelimited', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+            { name: 'words', in: 'query', style: 'spaceDelimited', explode: false, schema: { type: 'array', items: { type: 'string' } } },
+            { name: 'filter', in: 'query', style: 'deepObject', explode: true, schema: { type: 'object', properties: { min: { type: 'integer' }, max: { type: 'integer' } } } },
+            { name: 'point', in: 'query', schema: { type: 'object', properties: { x: { type: 'integer' }, y: { type: 'integer' } } } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/things/{ids}/{color}/{range}': {
+        get: {
+          operationId: 'getThings',
+          parameters: [
+            { name: 'ids', in: 'path', required: true, schema: { type: 'array', items: { type: 'integer' } } },
+            { name: 'color', in: 'path', required: true, style: 'label', explode: true, schema: { type: 'array', items: { type: 'string' } } },
+            { name: 'range', in: 'path', required: true, style: 'matrix', explode: true, schema: { type: 'object', properties: { from: { type: 'integer' }, to: { type: 'integer' } } } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('listThings', async (req) => Response.json(req.query))
+    api.register('getThings', async (req) => Response.json(req.params))
+    routes = await api.routes()
+  })
+
+  it('decodes query parameters into arrays and objects', async () => {
+    const url = 'http://localhost/things?tag=a&tag=b&ids=1,2,3&sizes=S|M&words=hello%20world'
+      + '&filter[min]=1&filter[max]=9&x=3&y=4&extra=1&extra=2'
+    const res = await routes['/things'].GET(new Request(url))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({
+      tag: ['a', 'b'],
+      ids: [1, 2, 3],
+      sizes: ['S', 'M'],
+      words: ['hello', 'world'],
+      filter: { min: 1, max: 9 },
+      point: { x: 3, y: 4 },
+      extra: ['1', '2']
+    })
+  })
+
+  it('rejects array items that do not match the schema', async () => {
+    const res = await routes['/things'].GET(new Request('http://localhost/things?ids=1,two'))
+    expect(res.status).toBe(400)
+  })
+
+  it('decodes simple, label and matrix path parameters', async () => {
+    const handler = routes['/things/:ids/:color/:range'].GET
+    const res = await handler(new Request('http://localhost/things/1,2/.red.blue/;from=1;to=5'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({
+      ids: [1, 2],
+      color: ['red', 'blue'],
+      range: { from: 1, to: 5 }
+    })
+  })
+
+  it('splits path parameters before percent-decoding their items', async () => {
+    const url = 'http://localhost/things/1,2/.red%2Eish.blue%2C%20green/;from=1;to=5'
+    const expected = { ids: [1, 2], color: ['red.ish', 'blue, green'], range: { from: 1, to: 5 } }
+
+    // Called by an outer router, which hands over decoded req.params
+    const req = new Request(url)
+    req.params = { ids: '1,2', color: '.red.ish.blue, green', range: ';from=1;to=5' }
+    const res = await routes['/things/:ids/:color/:range'].GET(req)
+    expect(await res.json()).toEqual(expected)
+  })
+})
+
+describe('request body media types', () => {
+  let routes
+
+  const itemSchema = {
+    type: 'object',
+    properties: { name: { type: 'string' } },
+    required: ['name']
+  }
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Bodies API', version: '1.0.0' },
+    paths: {
+      '/items': {
+        post: {
+          operationId: 'createItem',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': { schema: itemSchema },
+              'application/*+json': { schema: itemSchema },
+              'application/x-ndjson': { schema: { type: 'array', items: itemSchema } },
+              'text/plain': { schema: { type: 'string', minLength: 1 } },
+              'text/csv': { schema: { type: 'array', items: { type: 'array' } } },
+              'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+            }
+          },
+          responses: { '200': { description: 'OK' } }
+        },
+        patch: {
+          operationId: 'patchItem',
+          requestBody: {
+            content: {
+              'application/merge-patch+json': { schema: { type: 'object', properties: { name: { type: 'string' } } } }
+            }
+          },
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  const post = (body, contentType) => routes['/items'].POST(new Request('http://localhost/items', {
+    method: 'POST',
+    headers: contentType ? { 'Content-Type': contentType } : {},
+    body
+  }))
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    const echo = async (req) => Response.json({
+      body: req.body instanceof Blob ? `blob:${req.body.size}` : req.body,
+      json: typeof req.json === 'function'
+    })
+    api.register('createItem', echo)
+    api.register('patchItem', echo)
+    api.registerBodyParser('text/csv', async (req) => {
+      const text = await req.text()
+      return text.trim().split('\n').map(line => line.split(','))
+    })
+    routes = await api.routes()
+  })
+
+  it('picks the schema by Content-Type, including wildcard ranges', async () => {
+    const res1 = await post(JSON.stringify({ name: 'a' }), 'application/vnd.api+json')
+    expect(res1.status).toBe(200)
+    expect(await res1.json()).toEqual({ body: { name: 'a' }, json: true })
+
+    const res2 = await post(JSON.stringify({ title: 'a' }), 'application/vnd.api+json; charset=utf-8')
+    expect(res2.status).toBe(400)
+
+    const res3 = await routes['/items'].PATCH(new Request('http://localhost/items', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body: JSON.stringify({ name: 'b' })
+    }))
+    expect(await res3.json()).toEqual({ body: { name: 'b' }, json: true })
+  })
+
+  it('parses text, NDJSON and binary bodies', async () => {
+    const res1 = await post('hello', 'text/plain')
+    expect((await res1.json()).body).toBe('hello')
+
+    const res2 = await post('{"name":"a"}\n{"name":"b"}\n', 'application/x-ndjson')
+    expect((await res2.json()).body).toEqual([{ name: 'a' }, { name: 'b' }])
+
+    const res3 = await post(new Uint8Array([1, 2, 3]), 'application/octet-stream')
+    expect((await res3.json()).body).toBe('blob:3')
+  })
+
+  it('uses registered body parsers', async () => {
+    const res = await post('a,b\nc,d\n', 'text/csv')
+    expect(res.status).toBe(200)
+    expect((await res.json()).body).toEqual([['a', 'b'], ['c', 'd']])
+  })
+
+  it('rejects malformed, missing and unsupported bodies', async () => {
+    const res1 = await post('{"name":', 'application/json')
+    expect(res1.status).toBe(400)
+    expect((await res1.json()).code).toBe('MALFORMED_BODY')
+
+    const res2 = await post(undefined, 'application/json')
+    expect(res2.status).toBe(400)
+
+    const res3 = await post('<item/>', 'application/xml')
+    expect(res3.status).toBe(415)
+  })
+
+  it('allows a missing body when requestBody is optional', async () => {
+    const res = await routes['/items'].PATCH(new Request('http://localhost/items', { method: 'PATCH' }))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ body: null, json: false })
+  })
+
+  it('treats an empty payload without Content-Length as no body', async () => {
+    const patch = (body) => routes['/items'].PATCH(new Request('http://localhost/items', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json' },
+      body
+    }))
+    const empty = await patch('')
+    expect(empty.status).toBe(200)
+    expect(await empty.json()).toEqual({ body: null, json: false })
+
+    // A streamed payload is still parsed once its first chunk was read
+    const encoder = new TextEncoder()
+    const streamed = await patch(new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoder.encode('{"name":'))
+        controller.enqueue(encoder.encode('"c"}'))
+        controller.close()
+      }
+    }))
+    expect(await streamed.json()).toEqual({ body: { name: 'c' }, json: true })
+
+    // MISSING_BODY (no details, so no code in the generic error), not MALFORMED_BODY
+    const required = await post('', 'application/json')
+    expect(required.status).toBe(400)
+    expect((await required.json()).code).toBeUndefined()
+  })
+})
+
+describe('hooks', () => {
+  let api
+  let routes
+  const calls = []
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Hooks API', version: '1.0.0' },
+    paths: {
+      '/todos': {
+        get: {
+          operationId: 'listTodos',
+          tags: ['todo'],
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/boom': {
+        get: {
+          operationId: 'boom',
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    api = new BunOpenAPI({ definition: spec })
+
+    api.register('listTodos', async (req, c) => Response.json({ tenant: c.tenant }))
+    api.register('boom', async () => { throw new Error('boom') })
+
+    api.use({
+      onRequest: (context) => { calls.push(`onRequest:${context.operationId}`) },
+      preValidation: (context) => {
+        if (context.query.limit === 'none') return new Response('short-circuit', { status: 418 })
+      },
+      onResponse: (context, response) => {
+        const headers = new Headers(response.headers)
+        headers.set('X-Operation', context.operationId)
+        return new Response(response.body, { status: response.status, headers })
+      }
+    })
+    api.preHandler((context, c) => { c.tenant = 'acme' }, { tag: 'todo' })
+    api.onError((context, err) => Response.json({ error: err.message }, { status: 503 }), { operationId: 'boom' })
+
+    routes = await api.routes()
+  })
+
+  it('runs global and tag-scoped hooks around the handler', async () => {
+    const res = await routes['/todos'].GET(new Request('http://localhost/todos?limit=5'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ tenant: 'acme' })
+    expect(res.headers.get('X-Operation')).toBe('listTodos')
+    expect(calls).toContain('onRequest:listTodos')
+  })
+
+  it('short-circuits when a hook returns a Response', async () => {
+    const res = await routes['/todos'].GET(new Request('http://localhost/todos?limit=none'))
+    expect(res.status).toBe(418)
+    expect(await res.text()).toBe('short-circuit')
+    expect(res.headers.get('X-Operation')).toBe('listTodos')
+  })
+
+  it('lets onError hooks answer handler errors', async () => {
+    const res = await routes['/boom'].GET(new Request('http://localhost/boom'))
+    expect(res.status).toBe(503)
+    expect(await res.json()).toEqual({ error: 'boom' })
+  })
+
+  it('rejects unknown hook phases', () => {
+    expect(() => api.use({ beforeAll: () => {} })).toThrow()
+  })
+})
+
+describe('docs', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Docs API', version: '2.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+      '/pets': {
+        get: {
+          operationId: 'listPets',
+          summary: 'List <pets>',
+          responses: { '200': { description: 'OK' } }
+        },
+        delete: {
+          operationId: 'purgePets',
+          'x-internal': true,
+          responses: { '204': { description: 'Purged' } }
+        }
+      },
+      '/admin': {
+        'x-internal': true,
+        get: { operationId: 'getAdmin', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({
+      definition: spec,
+      docs: { path: '/reference', rewriteServers: true, trustProxy: true }
+    })
+    routes = await api.routes()
+  })
+
+  it('serves the spec as JSON without internal operations', async () => {
+    const res = await routes['/openapi.json'].GET(new Request('http://localhost:3000/openapi.json'))
+    expect(res.headers.get('content-type')).toBe('application/json')
+    const doc = await res.json()
+    expect(Object.keys(doc.paths)).toEqual(['/pets'])
+    expect(doc.paths['/pets'].delete).toBeUndefined()
+    expect(doc.servers).toEqual([{ url: 'http://localhost:3000/v1' }])
+  })
+
+  it('serves the spec as YAML', async () => {
+    const res = await routes['/openapi.yaml'].GET(new Request('http://localhost:3000/openapi.yaml', {
+      headers: { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'docs.example.com' }
+    }))
+    const text = await res.text()
+    expect(res.headers.get('content-type')).toBe('application/yaml')
+    expect(text).toContain('  title: Docs API\n')
+    expect(text).toContain('  - url: https://docs.example.com/v1\n')
+  })
+
+  it('ignores forwarded headers without trustProxy', async () => {
+    const api = new BunOpenAPI({ definition: spec, docs: { rewriteServers: true } })
+    const docsRoutes = await api.routes()
+    const res = await docsRoutes['/openapi.json'].GET(new Request('http://localhost:3000/openapi.json', {
+      headers: { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'evil.example.com' }
+    }))
+    expect((await res.json()).servers).toEqual([{ url: 'http://localhost:3000/v1' }])
+  })
+
+  it('serves a self-contained API reference page', async () => {
+    const res = await routes['/reference'].GET(new Request('http://localhost:3000/reference'))
+    const html = await res.text()
+    expect(res.headers.get('content-type')).toStartWith('text/html')
+    expect(html).toContain('listPets')
+    expect(html).toContain('List &lt;pets&gt;')
+    expect(html).not.toContain('getAdmin')
+    expect(html).not.toMatch(/<script|https?:\/\/cdn/)
+  })
+})
+
+describe('mock mode', () => {
+  let routes
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Mock API', version: '1.0.0' },
+    paths: {
+      '/todos/{id}': {
+        get: {
+          operationId: 'getTodo',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/Todo' },
+                  examples: {
+                    groceries: { value: { id: '3f0e6c1a-8d4b-4c2e-9a1f-2b7d5e6f8a90', title: 'Buy milk', status: 'open', tags: ['home'] } }
+                  }
+                }
+              }
+            },
+            '404': {
+              description: 'Not found',
+              content: {
+                'application/json': {
+                  examples: {
+                    notFound: { value: { code: 'NOT_FOUND' } },
+                    gone: { value: { code: 'GONE' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/todos': {
+        get: {
+          operationId: 'listTodos',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { type: 'array', minItems: 2, items: { $ref: '#/components/schemas/Todo' } }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'getHealth',
+          'x-mock': false,
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Todo: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            title: { type: 'string', minLength: 3 },
+            status: { type: 'string', enum: ['open', 'done'] },
+            priority: { type: 'integer', default: 3 },
+            tags: { type: 'array', minItems: 1, items: { type: 'string' } }
+          },
+          required: ['id', 'title', 'status']
+        }
+      }
+    }
+  }
+
+  beforeAll(async () => {
+    const api = new BunOpenAPI({ definition: spec, strict: true, mock: { seed: 42 } })
+    routes = await api.routes()
+  })
+
+  it('answers from the operation examples', async () => {
+    const res = await routes['/todos/:id'].GET(new Request('http://localhost/todos/t1'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ id: '3f0e6c1a-8d4b-4c2e-9a1f-2b7d5e6f8a90', title: 'Buy milk', status: 'open', tags: ['home'] })
+  })
+
+  it('picks the status code and named example from the Prefer header', async () => {
+    const res = await routes['/todos/:id'].GET(new Request('http://localhost/todos/t1', {
+      headers: { Prefer: 'code=404, example=gone' }
+    }))
+    expect(res.status).toBe(404)
+    expect(await res.json()).toEqual({ code: 'GONE' })
+
+    const res2 = await routes['/todos/:id'].GET(new Request('http://localhost/todos/t1', {
+      headers: { Prefer: 'code=418' }
+    }))
+    expect(res2.status).toBe(400)
+  })
+
+  it('ignores Prefer codes that are not HTTP statuses', () => {
+    const responses = { '201': { description: 'Created' }, default: { description: 'Error' } }
+    expect(pickResponse(responses, '503')).toEqual({ status: 503, response: responses.default })
+    for (const code of ['abc', '999', '20', '2000']) {
+      expect(pickResponse(responses, code)).toEqual({ status: 201, response: responses['201'] })
+    }
+  })
+
+  it('generates values within the bounds and formats of their schema', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+      const value = generateFromSchema({
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 0, maximum: 10, multipleOf: 7 },
+          email: { type: 'string', format: 'email', maxLength: 8 },
+          id: { type: 'string', format: 'uuid', maxLength: 8 },
+          name: { type: 'string', maxLength: 4 }
+        }
+      }, { seed })
+      expect([0, 7]).toContain(value.count)
+      expect(value.email).toMatch(/^user\d+@example\.com$/)
+      expect(value.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      expect(value.name).toHaveLength(4)
+    }
+  })
+
+  it('keeps an explicit seed of 0', () => {
+    expect(new BunOpenAPI({ definition: spec, mock: { seed: 0 } }).mockSeed).toBe(0)
+    expect(new BunOpenAPI({ definition: spec, mock: true }).mockSeed).toBe(1)
+  })
+
+  it('generates deterministic data from the response schema', async () => {
+    const res1 = await routes['/todos'].GET(new Request('http://localhost/todos'))
+    const res2 = await routes['/todos'].GET(new Request('http://localhost/todos'))
+    const todos = await res1.json()
+
+    expect(res1.status).toBe(200) // strict mode validated the generated body
+    expect(await res2.json()).toEqual(todos)
+    expect(todos).toHaveLength(2)
+    expect(['open', 'done']).toContain(todos[0].status)
+    expect(todos[0].priority).toBe(3)
+    expect(todos[0].id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(todos[0].title.length).toBeGreaterThanOrEqual(3)
+    expect(todos[0].tags).toHaveLength(1)
+  })
+
+  it('still returns 501 for operations that opt out', async () => {
+    const res = await routes['/health'].GET(new Request('http://localhost/health'))
+    expect(res.status).toBe(501)
+  })
+})
+
+describe('contract check', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Contract API', version: '1.0.0' },
+    paths: {
+      '/users/{id}': {
+        get: {
+          operationId: 'getUser',
+          responses: { '200': { description: 'OK' } }
+        },
+        delete: {
+          responses: { '204': { description: 'Deleted' } }
+        }
+      },
+      '/users/{userId}': {
+        put: {
+          operationId: 'updateUser',
+          security: [{ bearerAuth: [] }, { apiKey: [] }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    },
+    security: [{ apiKey: [] }]
+  }
+
+  it('reports contract problems', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getUser', async () => new Response('ok'))
+    api.register('getUsr', async () => new Response('typo'))
+    api.registerSecurity('apiKey', async () => true)
+
+    const report = await api.check()
+    expect(report.ok).toBe(false)
+    expect(report.unknownOperations).toEqual(['getUsr'])
+    expect(report.unimplementedOperations).toEqual([
+      { operationId: 'updateUser', method: 'PUT', path: '/users/{userId}' }
+    ])
+    expect(report.missingSecurityHandlers).toEqual([{ scheme: 'bearerAuth', operations: ['updateUser'] }])
+    expect(report.missingOperationIds).toEqual([{ method: 'DELETE', path: '/users/{id}' }])
+    // Same shape, different methods: no conflict
+    expect(report.routeConflicts).toEqual([])
+  })
+
+  it('reports the methods two templates of the same route both define', async () => {
+    const api = new BunOpenAPI({
+      definition: {
+        ...spec,
+        paths: {
+          ...spec.paths,
+          '/users/{userId}': { ...spec.paths['/users/{userId}'], get: { operationId: 'getUserById', responses: { '200': { description: 'OK' } } } }
+        }
+      }
+    })
+    expect((await api.check()).routeConflicts).toEqual([
+      { route: '/users/:id', paths: ['/users/{id}', '/users/{userId}'], methods: ['GET'] }
+    ])
+  })
+
+  it('routes the methods of templates sharing a route shape', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getUser', async (req) => Response.json(req.params))
+    api.register('updateUser', async (req) => Response.json(req.params))
+    api.registerSecurity('apiKey', async () => true)
+    api.registerSecurity('bearerAuth', async () => true)
+    const routes = await api.routes()
+
+    const headers = { 'X-API-Key': 'k' }
+    expect((await api.inject({ url: '/users/1', headers })).body).toEqual({ id: '1' })
+    expect((await api.inject({ method: 'PUT', url: '/users/1', headers })).body).toEqual({ userId: '1' })
+    const put = await routes['/users/:id'].PUT(new Request('http://localhost/users/2', { method: 'PUT', headers }))
+    expect(await put.json()).toEqual({ userId: '2' })
+    expect((await api.inject({ method: 'PATCH', url: '/users/1', headers })).status).toBe(405)
+  })
+
+  it('does not report operations answered by mock mode', async () => {
+    const api = new BunOpenAPI({ definition: spec, mock: true })
+    api.registerSecurity('apiKey', async () => true)
+    api.registerSecurity('bearerAuth', async () => true)
+    const report = await api.check()
+    expect(report.unimplementedOperations).toEqual([])
+  })
+
+  it('throws from routes({ requireAll: true }) with the report attached', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    let error
+    try {
+      await api.routes({ requireAll: true })
+    } catch (err) {
+      error = err
+    }
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('No handler registered for "getUser"')
+    expect(error.report.ok).toBe(false)
+  })
+
+  it('passes when every operation and scheme is covered', async () => {
+    const api = new BunOpenAPI({
+      definition: {
+        ...spec,
+        paths: { '/users/{id}': { get: spec.paths['/users/{id}'].get } }
+      }
+    })
+    api.register('getUser', async () => new Response('ok'))
+    api.registerSecurity('apiKey', async () => true)
+    expect((await api.check()).ok).toBe(true)
+    expect(await api.routes({ requireAll: true })).toHaveProperty('/users/:id')
+  })
+})
+
+describe('fetch handler', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Fetch API', version: '1.0.0' },
+    servers: [{ url: 'https://{host}/api/{version}', variables: { host: { default: 'example.com' }, version: { default: 'v1' } } }],
+    paths: {
+      '/users/{id}': {
+        get: {
+          operationId: 'getUser',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/users/me': {
+        get: { operationId: 'getMe', responses: { '200': { description: 'OK' } } }
+      },
+      '/files/{name}.json': {
+        get: {
+          operationId: 'getFile',
+          parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  const createApi = () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getUser', async (c) => Response.json({ op: 'getUser', id: c.params.id }))
+    api.register('getMe', async () => Response.json({ op: 'getMe' }))
+    api.register('getFile', async (c) => Response.json({ op: 'getFile', name: c.params.name }))
+    return api
+  }
+
+  it('routes under the server base path without calling routes() first', async () => {
+    const { fetch } = createApi()
+    const res = await fetch(new Request('http://localhost/api/v1/users/42'))
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ op: 'getUser', id: '42' })
+  })
+
+  it('prefers static segments over templated ones regardless of spec order', async () => {
+    const api = createApi()
+    const res = await api.fetch(new Request('http://localhost/api/v1/users/me'))
+    expect(await res.json()).toEqual({ op: 'getMe' })
+  })
+
+  it('decodes URL-encoded path parameters', async () => {
+    const api = createApi()
+    let res = await api.fetch(new Request('http://localhost/api/v1/users/a%2Fb%20c'))
+    expect(await res.json()).toEqual({ op: 'getUser', id: 'a/b c' })
+
+    res = await api.fetch(new Request('http://localhost/api/v1/files/report%201.json'))
+    expect(await res.json()).toEqual({ op: 'getFile', name: 'report 1' })
+  })
+
+  it('falls back to the not-found handler', async () => {
+    const api = createApi()
+    api.registerNotFound(() => ({ message: 'nope' }))
+
+    let res = await api.fetch(new Request('http://localhost/users/42'))
+    expect(res.status).toBe(404)
+    expect(await res.json()).toEqual({ message: 'nope' })
+
+    res = await api.fetch(new Request('http://localhost/api/v1/users/42/posts'))
+    expect(res.status).toBe(404)
+  })
+})
+
+describe('allowed methods', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Methods API', version: '1.0.0' },
+    paths: {
+      '/items/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: { operationId: 'getItem', responses: { '200': { description: 'OK' } } },
+        delete: { operationId: 'deleteItem', responses: { '204': { description: 'Deleted' } } }
+      }
+    }
+  }
+
+  const createApi = () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getItem', async (c) => Response.json({ id: c.params.id }, { headers: { 'X-Item': 'yes' } }))
+    api.register('deleteItem', async () => new Response(null, { status: 204 }))
+    return api
+  }
+
+  it('answers undefined methods with 405 and an Allow header', async () => {
+    const api = createApi()
+    const res = await api.fetch(new Request('http://localhost/items/1', { method: 'PUT', body: '{}' }))
+    expect(res.status).toBe(405)
+    expect(res.headers.get('allow')).toBe('GET, DELETE, HEAD, OPTIONS')
+
+    const routes = await api.routes()
+    const mapped = await routes['/items/:id'].POST(new Request('http://localhost/items/1', { method: 'POST' }))
+    expect(mapped.status).toBe(405)
+    expect(mapped.headers.get('allow')).toBe('GET, DELETE, HEAD, OPTIONS')
+  })
+
+  it('serves HEAD from GET without a body', async () => {
+    const api = createApi()
+    const res = await api.fetch(new Request('http://localhost/items/1', { method: 'HEAD' }))
+    expect(res.status).toBe(200)
+    expect(res.headers.get('x-item')).toBe('yes')
+    expect(await res.text()).toBe('')
+  })
+
+  it('advertises the real methods on OPTIONS', async () => {
+    const api = createApi()
+    const res = await api.fetch(new Request('http://localhost/items/1', { method: 'OPTIONS' }))
+    expect(res.status).toBe(204)
+    expect(res.headers.get('access-control-allow-methods')).toBe('GET, DELETE, HEAD, OPTIONS')
+    expect(res.headers.get('allow')).toBe('GET, DELETE, HEAD, OPTIONS')
+  })
+})
+
+describe('cors', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'CORS API', version: '1.0.0' },
+    paths: {
+      '/todos': {
+        get: {
+          operationId: 'listTodos',
+          parameters: [{ name: 'X-Tenant', in: 'header', schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK' } }
+        },
+        post: {
+          operationId: 'createTodo',
+          'x-cors': { origin: '*', exposeHeaders: 'Location' },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    }
+  }
+
+  const createApi = (cors) => {
+    const api = new BunOpenAPI({ definition: spec, cors })
+    api.register('listTodos', async () => Response.json([], { headers: { Vary: 'Accept' } }))
+    api.register('createTodo', async () => new Response(null, { status: 201 }))
+    return api
+  }
+
+  const preflight = (origin, method, headers) => new Request('http://localhost/todos', {
+    method: 'OPTIONS',
+    headers: {
+      Origin: origin,
+      'Access-Control-Request-Method': method,
+      ...(headers ? { 'Access-Control-Request-Headers': headers } : {})
+    }
+  })
+
+  it('echoes an allowed origin from a list or pattern', async () => {
+    const api = createApi({ origin: ['https://app.example.com', /^https:\/\/.+\.staging\.example\.com$/] })
+
+    let res = await api.fetch(new Request('http://localhost/todos', { headers: { Origin: 'https://web.staging.example.com' } }))
+    expect(res.headers.get('access-control-allow-origin')).toBe('https://web.staging.example.com')
+    expect(res.headers.get('access-control-allow-credentials')).toBe('true')
+    expect(res.headers.get('vary')).toBe('Accept, Origin')
+
+    res = await api.fetch(new Request('http://localhost/todos', { headers: { Origin: 'https://evil.example.net' } }))
+    expect(res.status).toBe(200)
+    expect(res.headers.get('access-control-allow-origin')).toBeNull()
+  })
+
+  it('accepts an origin function', async () => {
+    const api = createApi({ origin: async (origin) => origin.endsWith('.example.com') })
+    const res = await api.fetch(new Request('http://localhost/todos', { headers: { Origin: 'https://a.example.com' } }))
+    expect(res.headers.get('access-control-allow-origin')).toBe('https://a.example.com')
+  })
+
+  it('validates preflight method and headers', async () => {
+    const api = createApi({ origin: ['https://app.example.com'], maxAge: 600 })
+
+    let res = await api.fetch(preflight('https://app.example.com', 'GET', 'Authorization, X-Tenant'))
+    expect(res.status).toBe(204)
+    expect(res.headers.get('access-control-allow-origin')).toBe('https://app.example.com')
+    expect(res.headers.get('access-control-allow-methods')).toBe('GET, POST, HEAD, OPTIONS')
+    expect(res.headers.get('access-control-allow-headers')).toBe('Content-Type, Authorization, X-Tenant')
+    expect(res.headers.get('access-control-max-age')).toBe('600')
+
+    res = await api.fetch(preflight('https://app.example.com', 'DELETE'))
+    expect(res.status).toBe(403)
+    expect(res.headers.get('access-control-allow-origin')).toBeNull()
+
+    res = await api.fetch(preflight('https://app.example.com', 'GET', 'X-Debug'))
+    expect(res.status).toBe(403)
+
+    res = await api.fetch(preflight('https://evil.example.net', 'GET'))
+    expect(res.status).toBe(403)
+  })
+
+  it('applies per-operation x-cors overrides', async () => {
+    const api = createApi({ origin: ['https://app.example.com'] })
+
+    let res = await api.fetch(preflight('https://evil.example.net', 'POST'))
+    expect(res.status).toBe(204)
+    expect(res.headers.get('access-control-allow-origin')).toBe('*')
+
+    res = await api.fetch(new Request('http://localhost/todos', { method: 'POST', headers: { Origin: 'https://x.example.net' } }))
+    expect(res.status).toBe(201)
+    expect(res.headers.get('access-control-allow-origin')).toBe('*')
+    expect(res.headers.get('access-control-allow-credentials')).toBeNull()
+    expect(res.headers.get('access-control-expose-headers')).toBe('Location')
+  })
+})
+
+describe('problem details', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Problem API', version: '1.0.0' },
+    paths: {
+      '/items': {
+        post: {
+          operationId: 'createItem',
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } }],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name'],
+                  properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } }
+                }
+              }
+            }
+          },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    }
+  }
+
+  const post = (query, body) => new Request(`http://localhost/items${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  it('returns application/problem+json with located errors', async () => {
+    const api = new BunOpenAPI({ definition: spec, errorFormat: 'problem' })
+    api.register('createItem', async () => new Response(null, { status: 201 }))
+
+    let res = await api.fetch(post('?limit=50', { name: 'a' }))
+    expect(res.status).toBe(400)
+    expect(res.headers.get('content-type')).toBe('application/problem+json')
+    expect(await res.json()).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'Query validation failed',
+      instance: '/items',
+      code: 'ERR_VALIDATION',
+      errors: [{ pointer: '#', parameter: 'limit', in: 'query', message: 'must be <= 10' }]
+    })
+
+    res = await api.fetch(post('', { tags: [{}] }))
+    const problem = await res.json()
+    expect(problem.errors).toContainEqual({ pointer: '#/name', in: 'body', message: "must have required property 'name'" })
+    expect(problem.errors).toContainEqual({ pointer: '#/tags/0', in: 'body', message: 'must be string' })
+
+    res = await api.fetch(new Request('http://localhost/missing'))
+    expect(res.status).toBe(404)
+    expect((await res.json()).instance).toBe('/missing')
+  })
+
+  it('passes the request and operationId to the error handler', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.registerErrorHandler(({ status, errors, request, operationId }) => ({
+      status,
+      operationId,
+      traceId: request.headers.get('x-trace-id'),
+      errors
+    }))
+
+    const req = post('?limit=abc', { name: 'a' })
+    req.headers.set('x-trace-id', 'trace-1')
+    const res = await api.fetch(req)
+    expect(await res.json()).toEqual({
+      status: 400,
+      operationId: 'createItem',
+      traceId: 'trace-1',
+      errors: [{ pointer: '#', parameter: 'limit', in: 'query', message: 'must be integer' }]
+    })
+  })
+})
+
+describe('readOnly and writeOnly', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Users API', version: '1.0.0' },
+    paths: {
+      '/users': {
+        post: {
+          operationId: 'createUser',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+          },
+          responses: {
+            '201': {
+              description: 'Created',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id', 'name', 'password'],
+          properties: {
+            id: { type: 'string', readOnly: true },
+            name: { type: 'string' },
+            password: { type: 'string', writeOnly: true }
+          }
+        }
+      }
+    }
+  }
+
+  const post = (body) => new Request('http://localhost/users', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  const createApi = (options) => {
+    const api = new BunOpenAPI({ definition: spec, ...options })
+    api.register('createUser', async (c) => Response.json({ id: 'u1', ...c.body }, { status: 201 }))
+    return api
+  }
+
+  it('rejects readOnly properties in requests without requiring them', async () => {
+    const api = createApi({ readOnly: 'reject' })
+
+    let res = await api.fetch(post({ name: 'Ann', password: 'secret' }))
+    expect(res.status).toBe(201)
+
+    res = await api.fetch(post({ id: 'forged', name: 'Ann', password: 'secret' }))
+    expect(res.status).toBe(400)
+    const { details } = await res.json()
+    expect(details[0]).toMatchObject({ instancePath: '/id', keyword: 'readOnly' })
+  })
+
+  it('ignores readOnly properties in requests by default', async () => {
+    const api = createApi()
+    const res = await api.fetch(post({ id: 'forged', name: 'Ann', password: 'secret' }))
+    expect(res.status).toBe(201)
+  })
+
+  it('only strips body properties that additionalProperties excludes', async () => {
+    const api = new BunOpenAPI({
+      removeAdditional: true,
+      definition: {
+        openapi: '3.1.0',
+        info: { title: 'Labels API', version: '1.0.0' },
+        paths: {
+          '/items': {
+            post: {
+              operationId: 'createItem',
+              parameters: [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' } }],
+              requestBody: {
+                content: {
+                  'application/json': {
+                    schema: {
+                      type: 'object',
+                      properties: {
+                        labels: { type: 'object', additionalProperties: { type: 'string' } },
+                        owner: { allOf: [{ $ref: '#/components/schemas/Named' }, { properties: { email: { type: 'string' } } }] }
+                      }
+                    }
+                  }
+                }
+              },
+              responses: { '200': { description: 'OK' } }
+            }
+          }
+        },
+        components: {
+          schemas: { Named: { type: 'object', properties: { name: { type: 'string' } } } }
+        }
+      }
+    })
+    api.register('createItem', async (c) => Response.json({ body: c.body, query: Object.fromEntries(new URL(c.url).searchParams) }))
+
+    const res = await api.fetch(new Request('http://localhost/items?dryRun=true&trace=1', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ labels: { k: 'v' }, owner: { name: 'Ann', email: 'a@b.c' }, extra: 1 })
+    }))
+    expect(await res.json()).toEqual({
+      body: { labels: { k: 'v' }, owner: { name: 'Ann', email: 'a@b.c' } },
+      query: { dryRun: 'true', trace: '1' }
+    })
+  })
+
+  it('strips readOnly and undeclared properties when asked to', async () => {
+    const api = createApi({ readOnly: 'remove', removeAdditional: true })
+    const res = await api.fetch(post({ id: 'forged', name: 'Ann', password: 'secret', admin: true }))
+    expect(res.status).toBe(201)
+    expect(await res.json()).toEqual({ id: 'u1', name: 'Ann', password: 'secret' })
+  })
+
+  it('flags writeOnly properties in strict response validation', async () => {
+    const api = createApi({ strict: true })
+    const errorSpy = spyOn(console, 'error').mockImplementation(() => {})
+    const res = await api.fetch(post({ name: 'Ann', password: 'secret' }))
+    errorSpy.mockRestore()
+    expect(res.status).toBe(500)
+    expect((await res.json()).code).toBe('CONTRACT_VIOLATION')
+  })
+
+  it('removes writeOnly properties from responses', async () => {
+    const api = createApi({ writeOnly: 'remove' })
+    const res = await api.fetch(post({ name: 'Ann', password: 'secret' }))
+    expect(res.status).toBe(201)
+    expect(await res.json()).toEqual({ id: 'u1', name: 'Ann' })
+  })
+})
+
+describe('schema defaults', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Defaults API', version: '1.0.0' },
+    paths: {
+      '/todos': {
+        post: {
+          operationId: 'createTodo',
+          parameters: [
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
+            { name: 'X-Locale', in: 'header', schema: { type: 'string', default: 'en' } }
+          ],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    title: { type: 'string' },
+                    done: { type: 'boolean', default: false },
+                    meta: {
+                      type: 'object',
+                      default: {},
+                      properties: { priority: { type: 'integer', default: 3 } }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  }
+
+  const createApi = (options) => {
+    const api = new BunOpenAPI({ definition: spec, ...options })
+    api.register('createTodo', async (c) => Response.json({ query: c.query, locale: c.headerParams['X-Locale'], body: c.body }))
+    return api
+  }
+
+  const post = (query = '') => new Request(`http://localhost/todos${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Write docs' })
+  })
+
+  it('fills in parameter and nested body defaults with useDefaults', async () => {
+    const res = await createApi({ useDefaults: true }).fetch(post())
+    expect(await res.json()).toEqual({
+      query: { limit: 20 },
+      locale: 'en',
+      body: { title: 'Write docs', done: false, meta: { priority: 3 } }
+    })
+  })
+
+  it('keeps provided values and leaves omitted ones alone by default', async () => {
+    let res = await createApi({ useDefaults: true }).fetch(post('?limit=5'))
+    expect((await res.json()).query).toEqual({ limit: 5 })
+
+    res = await createApi().fetch(post())
+    expect(await res.json()).toEqual({ query: {}, body: { title: 'Write docs' } })
+  })
+})
+
+describe('type generation', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Types API', version: '1.0.0' },
+    paths: {
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: {
+          operationId: 'getUser',
+          parameters: [
+            { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['name', 'email'] } } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } }
+          ],
+          responses: {
+            '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+            '404': { description: 'Not found' }
+          }
+        },
+        put: {
+          operationId: 'updateUser',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+          },
+          responses: { '204': { description: 'Updated' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            name: { type: 'string' },
+            nickname: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  }
+
+  it('emits component types and one entry per operationId', async () => {
+    const types = await new BunOpenAPI({ definition: spec }).generateTypes()
+
+    expect(types).toContain([
+      'export type User = {',
+      '  readonly id: number;',
+      '  name: string;',
+      '  nickname?: string | null;',
+      '};'
+    ].join('\n'))
+    expect(types).toContain([
+      '  getUser: {',
+      '    params: {',
+      '      id: number;',
+      '    };',
+      '    query: {',
+      '      fields?: Array<"name" | "email">;',
+      '      limit?: number;',
+      '    };'
+    ].join('\n'))
+    expect(types).toContain([
+      '    responses:',
+      '      | { status: 200; body: User }',
+      '      | { status: 404; body: null };'
+    ].join('\n'))
+    expect(types).toContain('    body: User;\n    responses:\n      | { status: 204; body: null };')
+  })
+
+  it('makes fields with defaults required with useDefaults', async () => {
+    const types = await new BunOpenAPI({ definition: spec, useDefaults: true }).generateTypes()
+    expect(types).toContain('      limit: number;')
+  })
+
+  it('validates path item parameters at runtime as typed, operation parameters overriding them', async () => {
+    const api = new BunOpenAPI({
+      definition: {
+        openapi: '3.1.0',
+        info: { title: 'Shared Parameters API', version: '1.0.0' },
+        paths: {
+          '/users/{id}': {
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+              { name: 'X-Req', in: 'header', required: true, schema: { type: 'string' } },
+              { name: 'verbose', in: 'query', schema: { type: 'boolean' } }
+            ],
+            get: {
+              operationId: 'getUser',
+              parameters: [{ name: 'verbose', in: 'query', schema: { type: 'integer' } }],
+              responses: { '200': { description: 'OK' } }
+            }
+          }
+        }
+      }
+    })
+    api.register('getUser', async ({ params, query }) => Response.json({ params, query }))
+    await api.routes()
+
+    const ok = await api.fetch(new Request('http://localhost/users/42?verbose=2', { headers: { 'X-Req': '1' } }))
+    expect(ok.status).toBe(200)
+    expect(await ok.json()).toEqual({ params: { id: 42 }, query: { verbose: 2 } })
+
+    expect((await api.fetch(new Request('http://localhost/users/abc', { headers: { 'X-Req': '1' } }))).status).toBe(400)
+    expect((await api.fetch(new Request('http://localhost/users/42'))).status).toBe(400)
+
+    const types = await api.generateTypes()
+    expect(types).toContain('      id: number;')
+    expect(types).toContain('      "X-Req": string;')
+    expect(types).toContain('      verbose?: number;')
+  })
+})
+
+describe('client generation', () => {
+  const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Client API', version: '1.0.0' },
+    paths: {
+      '/files/{name}': {
+        get: {
+          operationId: 'getFile',
+          security: [{ ApiKey: [] }],
+          parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/notes': {
+        post: {
+          operationId: 'createNote',
+          security: [{ Bearer: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['title'],
+                  properties: { title: { type: 'string', minLength: 1 } }
+                }
+              }
+            }
+          },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        Bearer: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  }
+
+  const file = `${tmpdir()}/bun-openapi-client-${process.pid}.js`
+  let api
+  let createClient
+
+  beforeAll(async () => {
+    api = new BunOpenAPI({ definition: spec })
+    api.registerSecurity('ApiKey', () => true)
+    api.registerSecurity('Bearer', () => true)
+    api.register('getFile', ({ params, query, headers }) => Response.json({
+      name: params.name,
+      tags: query.tags,
+      key: headers.get('x-api-key')
+    }))
+    api.register('createNote', async ({ body, headers }) => Response.json({
+      title: body.title,
+      auth: headers.get('authorization')
+    }, { status: 201 }))
+
+    await Bun.write(file, await api.generateClient())
+    ;({ createClient } = await import(file))
+  })
+
+  afterAll(async () => {
+    await unlink(file)
+  })
+
+  const clientOptions = async () => ({
+    baseUrl: 'http://localhost',
+    fetch: (url, init) => api.fetch(new Request(url, init)),
+    auth: { ApiKey: 'secret', Bearer: () => 'token' },
+    validate: await api.requestValidator()
+  })
+
+  it('templates the path, serializes the query and injects an API key', async () => {
+    const client = createClient(await clientOptions())
+    const res = await client.getFile({ params: { name: 'a b.txt' }, query: { tags: ['x', 'y'] } })
+
+    expect(res.status).toBe(200)
+    expect(res.ok).toBe(true)
+    expect(res.body).toEqual({ name: 'a b.txt', tags: ['x', 'y'], key: 'secret' })
+  })
+
+  it('sends JSON bodies with a bearer token', async () => {
+    const client = createClient(await clientOptions())
+    const res = await client.createNote({ body: { title: 'Hello' } })
+
+    expect(res.status).toBe(201)
+    expect(res.body).toEqual({ title: 'Hello', auth: 'Bearer token' })
+  })
+
+  it('rejects invalid requests before sending them', async () => {
+    const client = createClient(await clientOptions())
+    const error = await client.createNote({ body: { title: '' } }).catch(err => err)
+
+    expect(error).toBeInstanceOf(Error)
+    expect(error.errors).toEqual([expect.objectContaining({ pointer: '#/title', in: 'body' })])
+  })
+})
+
+describe('test helpers', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Inject API', version: '1.0.0' },
+    paths: {
+      '/users/{id}': {
+        get: {
+          operationId: 'getUser',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, example: 7 },
+            { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string' } }, example: ['name'] }
+          ],
+          responses: {
+            '200': {
+              description: 'OK',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+            },
+            '404': { description: 'Not found' }
+          }
+        }
+      },
+      '/users': {
+        post: {
+          operationId: 'createUser',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/User' },
+                example: { id: 1, name: 'Ada' }
+              }
+            }
+          },
+          responses: {
+            '201': {
+              description: 'Created',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+            }
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'health',
+          responses: { '204': { description: 'Healthy' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        User: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: { id: { type: 'integer' }, name: { type: 'string' } }
+        }
+      }
+    }
+  }
+
+  const createApi = () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getUser', async ({ params, query }) => Response.json({ id: params.id, name: `user ${query.fields}` }))
+    api.register('createUser', async ({ body }) => Response.json(body, { status: 201 }))
+    return api
+  }
+
+  it('injects requests through the router and parses the response', async () => {
+    const api = createApi()
+
+    const res = await api.inject({ url: '/users/42?fields=name' })
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({ id: 42, name: 'user name' })
+
+    const created = await api.inject({ method: 'POST', url: '/users', body: { id: 1, name: 'Ada' } })
+    expect(created.status).toBe(201)
+    expect(created.headers.get('content-type')).toContain('application/json')
+    expect(created.body).toEqual({ id: 1, name: 'Ada' })
+
+    const invalid = await api.inject({ method: 'POST', url: '/users', body: { name: 'Ada' } })
+    expect(invalid.status).toBe(400)
+
+    expect((await api.inject({ url: '/nowhere' })).status).toBe(404)
+  })
+
+  it('passes the contract test with spec examples and skips unimplemented operations', async () => {
+    const report = await createApi().testContract()
+
+    expect(report.ok).toBe(true)
+    expect(report.skipped).toEqual(['health'])
+    expect(report.results).toEqual([
+      { operationId: 'getUser', method: 'GET', path: '/users/{id}', status: 200, failures: [] },
+      { operationId: 'createUser', method: 'POST', path: '/users', status: 201, failures: [] }
+    ])
+  })
+
+  it('fails on undocumented statuses and schema violations', async () => {
+    const api = createApi()
+    api.register('getUser', async () => new Response(null, { status: 418 }))
+    api.register('createUser', async () => Response.json({ id: 'one' }, { status: 201 }))
+
+    const error = await api.testContract().catch(err => err)
+
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toContain('getUser (GET /users/{id}): status 418 is not documented')
+    expect(error.report.results[1].failures).toEqual([
+      'response body / must have required property \'name\'',
+      'response body /id must be integer'
+    ])
+  })
+
+  it('validates each response by its Content-Type', async () => {
+    const api = new BunOpenAPI({
+      definition: {
+        openapi: '3.1.0',
+        info: { title: 'Media API', version: '1.0.0' },
+        paths: {
+          '/note': {
+            get: {
+              operationId: 'getNote',
+              responses: {
+                '200': {
+                  description: 'OK',
+                  content: {
+                    'application/json': { schema: { type: 'string', minLength: 2 } },
+                    'text/plain': { schema: { type: 'string', maxLength: 5 } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    })
+    let response
+    api.register('getNote', async () => response())
+
+    response = () => new Response('hello', { headers: { 'Content-Type': 'text/plain' } })
+    expect((await api.testContract()).ok).toBe(true)
+
+    // A JSON string is a valid JSON body
+    response = () => Response.json('hi')
+    expect((await api.testContract()).ok).toBe(true)
+
+    response = () => new Response('hello world', { headers: { 'Content-Type': 'text/plain' } })
+    const tooLong = await api.testContract().catch(err => err)
+    expect(tooLong.report.results[0].failures).toEqual(['response body / must NOT have more than 5 characters'])
+
+    response = () => new Response('{"a":', { headers: { 'Content-Type': 'application/json' } })
+    const malformed = await api.testContract().catch(err => err)
+    expect(malformed.report.results[0].failures).toEqual(['response body must be valid JSON'])
+  })
+})
+
+describe('response validation', () => {
+  const item = { type: 'object', required: ['n'], properties: { n: { type: 'integer' } } }
+
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Responses API', version: '1.0.0' },
+    paths: {
+      '/jobs': {
+        post: {
+          operationId: 'createJob',
+          responses: {
+            '201': {
+              description: 'Created',
+              headers: {
+                Location: { required: true, schema: { type: 'string' } },
+                'X-Rate-Limit': { schema: { type: 'integer' } }
+              },
+              content: { 'application/vnd.job+json': { schema: item } }
+            },
+            '2XX': { description: 'Accepted', content: { 'text/plain': { schema: { type: 'string', maxLength: 5 } } } },
+            default: {
+              description: 'Error',
+              content: { 'application/json': { schema: { type: 'object', required: ['error'] } } }
+            }
+          }
+        }
+      },
+      '/events': {
+        get: {
+          operationId: 'getEvents',
+          responses: {
+            '200': {
+              description: 'Events',
+              content: {
+                'text/event-stream': { schema: item },
+                'application/x-ndjson': { schema: { type: 'array', items: item } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  let reply
+  const createApi = () => {
+    const api = new BunOpenAPI({ definition: spec, strict: true })
+    api.register('createJob', async () => reply())
+    api.register('getEvents', async () => reply())
+    return api
+  }
+
+  const send = async (response, path = '/jobs', method = 'POST') => {
+    reply = () => response
+    const errorSpy = spyOn(console, 'error').mockImplementation(() => {})
+    const warnSpy = spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      const res = await createApi().fetch(new Request(`http://localhost${path}`, { method }))
+      const text = await res.text()
+      return { res, text, errors: errorSpy.mock.calls, warnings: warnSpy.mock.calls }
+    } finally {
+      errorSpy.mockRestore()
+      warnSpy.mockRestore()
+    }
+  }
+
+  const json = (body, status, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/vnd.job+json', ...headers }
+  })
+
+  it('validates vendor JSON bodies and the declared headers', async () => {
+    const ok = await send(json({ n: 1 }, 201, { Location: '/jobs/1', 'X-Rate-Limit': '10' }))
+    expect(ok.res.status).toBe(201)
+    expect(ok.errors).toEqual([])
+
+    const invalid = await send(json({ n: 'one' }, 201, { Location: '/jobs/1' }))
+    expect(invalid.res.status).toBe(500)
+    expect(JSON.parse(invalid.text).code).toBe('CONTRACT_VIOLATION')
+
+    const noLocation = await send(json({ n: 1 }, 201, { 'X-Rate-Limit': 'many' }))
+    expect(noLocation.res.status).toBe(500)
+    expect(noLocation.errors[0][1].map(error => error.message)).toEqual([
+      'must have required property \'Location\'',
+      'must be integer'
+    ])
+  })
+
+  it('picks the validator by range and default keys and by Content-Type', async () => {
+    expect((await send(new Response('queued', { status: 202 }))).res.status).toBe(500)
+    expect((await send(new Response('ok', { status: 202 }))).res.status).toBe(202)
+
+    expect((await send(Response.json({ error: 'busy' }, { status: 503 }))).res.status).toBe(503)
+    expect((await send(Response.json({ busy: true }, { status: 503 }))).res.status).toBe(500)
+
+    const undocumented = await send(new Response('<p>ok</p>', { status: 201, headers: { 'Content-Type': 'text/html', Location: '/jobs/1' } }))
+    expect(undocumented.res.status).toBe(201)
+    expect(undocumented.warnings[0][0]).toContain('Content-Type text/html is not documented for status 201')
+  })
+
+  it('checks SSE and NDJSON streams event by event without altering them', async () => {
+    const stream = (chunks) => new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) controller.enqueue(new TextEncoder().encode(chunk))
+        controller.close()
+      }
+    })
+
+    const sse = await send(new Response(stream(['data: {"n":1}\n\n', ': keep-alive\n\ndata: {"n"', ':"x"}\n\n']), {
+      headers: { 'Content-Type': 'text/event-stream' }
+    }), '/events', 'GET')
+    expect(sse.res.status).toBe(200)
+    expect(sse.text).toBe('data: {"n":1}\n\n: keep-alive\n\ndata: {"n":"x"}\n\n')
+    expect(sse.warnings.map(([message]) => message)).toEqual([
+      'Response Validation Warning: Event 2 of getEvents failed validation against OpenAPI schema.'
+    ])
+
+    const ndjson = await send(new Response(stream(['{"n":1}\n{"n":2}\n{"m":', '3}\n']), {
+      headers: { 'Content-Type': 'application/x-ndjson' }
+    }), '/events', 'GET')
+    expect(ndjson.warnings.map(([message]) => message)).toEqual([
+      'Response Validation Warning: Line 3 of getEvents failed validation against OpenAPI schema.'
+    ])
+  })
+
+  it('reports header and stream failures in the contract test', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('createJob', async () => json({ n: 1 }, 201))
+    api.register('getEvents', async () => new Response('data: {"n":1}\n\ndata: {}\n\n', {
+      headers: { 'Content-Type': 'text/event-stream' }
+    }))
+
+    const error = await api.testContract().catch(err => err)
+    expect(error.report.results.map(result => result.failures)).toEqual([
+      ['headers must have required property \'Location\''],
+      ['event 2 / must have required property \'n\'']
+    ])
+  })
+})
+
+describe('content negotiation', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Negotiation API', version: '1.0.0' },
+    paths: {
+      '/privacy': {
+        get: {
+          operationId: 'getPrivacy',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'text/markdown': { schema: { type: 'string' }, example: '# Privacy' },
+                'text/html': { schema: { type: 'string' }, example: '<h1>Privacy</h1>' }
+              }
+            },
+            '500': {
+              description: 'Error',
+              content: { 'application/json': { schema: { type: 'object' } } }
+            }
+          }
+        }
+      },
+      '/report': {
+        post: {
+          operationId: 'createReport',
+          'x-not-acceptable': false,
+          responses: {
+            '201': { description: 'Created', content: { 'application/json': { schema: { type: 'object' } } } }
+          }
+        }
+      }
+    }
+  }
+
+  const privacy = async (c) => {
+    const mediaType = c.negotiate()
+    return new Response(mediaType === 'text/html' ? '<h1>Privacy</h1>' : '# Privacy', {
+      headers: { 'Content-Type': mediaType || 'text/markdown' }
+    })
+  }
+
+  it('negotiates the Accept header against the success media types', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('getPrivacy', privacy)
+
+    const type = async (accept) => (await api.inject({ url: '/privacy', headers: accept ? { Accept: accept } : {} })).headers.get('content-type')
+
+    expect(await type()).toBe('text/markdown')
+    expect(await type('*/*')).toBe('text/markdown')
+    expect(await type('text/html')).toBe('text/html')
+    expect(await type('text/*, text/html')).toBe('text/html')
+    expect(await type('text/html;q=0.5, text/markdown;q=0.9')).toBe('text/markdown')
+    expect(await type('text/*;q=1, text/markdown;q=0')).toBe('text/html')
+
+    const res = await api.inject({ url: '/privacy', headers: { Accept: 'text/html' } })
+    expect(res.headers.get('vary')).toBe('Accept')
+  })
+
+  it('exposes accepts() and negotiate() among other media types', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    let seen
+    api.register('getPrivacy', async (c) => {
+      seen = {
+        acceptable: c.accepts(),
+        html: c.accepts('text/html'),
+        json: c.accepts('application/json'),
+        custom: c.negotiate(['application/json', 'text/csv']),
+      }
+      return new Response('# Privacy', { headers: { 'Content-Type': 'text/markdown' } })
+    })
+
+    await api.inject({ url: '/privacy', headers: { Accept: 'text/html, text/csv;q=0.2, text/markdown;q=0.8' } })
+    expect(seen).toEqual({
+      acceptable: ['text/html', 'text/markdown'],
+      html: true,
+      json: false,
+      custom: 'text/csv',
+    })
+  })
+
+  it('answers 406 when opted in and nothing declared is acceptable', async () => {
+    const api = new BunOpenAPI({ definition: spec, notAcceptable: true, errorFormat: 'problem' })
+    api.register('getPrivacy', privacy)
+    api.register('createReport', async () => Response.json({}, { status: 201 }))
+
+    const rejected = await api.inject({ url: '/privacy', headers: { Accept: 'application/json' } })
+    expect(rejected.status).toBe(406)
+    expect(rejected.body.code).toBe('NOT_ACCEPTABLE')
+
+    expect((await api.inject({ url: '/privacy', headers: { Accept: 'text/markdown' } })).status).toBe(200)
+    expect((await api.inject({ url: '/privacy' })).status).toBe(200)
+
+    // x-not-acceptable: false opts the operation out
+    expect((await api.inject({ method: 'POST', url: '/report', headers: { Accept: 'text/html' } })).status).toBe(201)
+  })
+
+  it('mocks the negotiated representation', async () => {
+    const api = new BunOpenAPI({ definition: spec, mock: true })
+
+    const html = await api.inject({ url: '/privacy', headers: { Accept: 'text/html' } })
+    expect(html.headers.get('content-type')).toBe('text/html')
+    expect(html.body).toBe('<h1>Privacy</h1>')
+
+    const markdown = await api.inject({ url: '/privacy' })
+    expect(markdown.body).toBe('# Privacy')
+  })
+})
+
+describe('handler results', () => {
+  const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Results API', version: '1.0.0' },
+    paths: {
+      '/items': {
+        get: {
+          operationId: 'listItems',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Item' } } },
+                'text/plain': { schema: { type: 'string' } }
+              }
+            }
+          }
+        },
+        post: {
+          operationId: 'createItem',
+          responses: {
+            '201': {
+              description: 'Created',
+              headers: { Location: { required: true, schema: { type: 'string' } } },
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } }
+            },
+            '409': {
+              description: 'Conflict',
+              content: { 'application/json': { schema: { type: 'object', required: ['message'] } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Item: {
+          type: 'object',
+          required: ['id', 'status'],
+          properties: {
+            id: { type: 'integer' },
+            status: { type: 'string' },
+            secret: { type: 'string', writeOnly: true }
+          }
+        }
+      }
+    }
+  }
+
+  it('sends bare bodies with the first 2xx status and { status, body, headers } results as given', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    api.register('listItems', async () => [{ id: 1, status: 'open' }])
+    let conflict = false
+    api.register('createItem', async () => conflict
+      ? { status: 409, body: { message: 'Exists' }, headers: { 'X-Reason': 'duplicate' } }
+      : { id: 2, status: 'open' })
+
+    const list = await api.inject({ url: '/items' })
+    expect(list.status).toBe(200)
+    expect(list.headers.get('content-type')).toBe('application/json')
+    expect(list.body).toEqual([{ id: 1, status: 'open' }])
+
+    // A string `status` does not make a result: this is the body of the 201
+    const created = await api.inject({ method: 'POST', url: '/items' })
+    expect(created.status).toBe(201)
+    expect(created.body).toEqual({ id: 2, status: 'open' })
+
+    conflict = true
+    const rejected = await api.inject({ method: 'POST', url: '/items' })
+    expect(rejected.status).toBe(409)
+    expect(rejected.headers.get('x-reason')).toBe('duplicate')
+    expect(rejected.body).toEqual({ message: 'Exists' })
+  })
+
+  it('validates objects before serializing them, without re-parsing the response', async () => {
+    const api = new BunOpenAPI({ definition: spec, strict: true, errorFormat: 'problem' })
+    let item = { id: 3, status: 'open' }
+    api.register('createItem', async () => ({ status: 201, body: item, headers: { Location: '/items/3' } }))
+
+    const clone = spyOn(Response.prototype, 'clone')
+    const errorSpy = spyOn(console, 'error').mockImplementation(() => {})
+    try {
+      const ok = await api.inject({ method: 'POST', url: '/items' })
+      expect(ok.status).toBe(201)
+      expect(ok.body).toEqual({ id: 3, status: 'open' })
+
+      item = { id: 'three', status: 'open' }
+      const invalid = await api.inject({ method: 'POST', url: '/items' })
+      expect(invalid.status).toBe(500)
+      expect(invalid.body.code).toBe('CONTRACT_VIOLATION')
+
+      // Types are not coerced, and the handler's object is left as it was
+      item = { id: 3, status: 5 }
+      const mistyped = await api.inject({ method: 'POST', url: '/items' })
+      expect(mistyped.status).toBe(500)
+      expect(item.status).toBe(5)
+
+      expect(clone).not.toHaveBeenCalled()
+    } finally {
+      clone.mockRestore()
+      errorSpy.mockRestore()
+    }
+  })
+
+  it('picks the declared media type and strips writeOnly properties from a copy', async () => {
+    const api = new BunOpenAPI({ definition: spec, writeOnly: 'remove' })
+    const items = [{ id: 1, status: 'open', secret: 's3cret' }]
+    api.register('listItems', async (c) => c.negotiate() === 'text/plain' ? 'one item' : items)
+
+    const json = await api.inject({ url: '/items' })
+    expect(json.body).toEqual([{ id: 1, status: 'open' }])
+    expect(items[0].secret).toBe('s3cret')
+
+    const text = await api.inject({ url: '/items', headers: { Accept: 'text/plain' } })
+    expect(text.headers.get('content-type')).toBe('text/plain')
+    expect(text.body).toBe('one item')
+  })
+
+  it('only takes branded or well-formed objects for results', async () => {
+    const api = new BunOpenAPI({ definition: spec })
+    let result
+    api.register('createItem', async () => result)
+
+    // No body, or a status that is not an HTTP status: a bare body of the 201
+    result = { status: 3 }
+    const bare = await api.inject({ method: 'POST', url: '/items' })
+    expect(bare.status).toBe(201)
+    expect(bare.body).toEqual({ status: 3 })
+
+    result = { status: 700, body: 'x' }
+    expect((await api.inject({ method: 'POST', url: '/items' })).status).toBe(201)
+
+    result = BunOpenAPI.result(409, { message: 'Exists' }, { 'X-Reason': 'duplicate' })
+    const branded = await api.inject({ method: 'POST', url: '/items' })
+    expect(branded.status).toBe(409)
+    expect(branded.headers.get('x-reason')).toBe('duplicate')
+    expect(branded.body).toEqual({ message: 'Exists' })
+
+    expect(() => BunOpenAPI.result(3)).toThrow('Invalid status 3')
+  })
+
+  it('copies bodies structuredClone() rejects as JSON', async () => {
+    const api = new BunOpenAPI({ definition: spec, writeOnly: 'remove' })
+    // Functions cannot be cloned
+    api.register('listItems', async () => [{ id: 1, status: 'open', secret: 's3cret', describe() { return 'item 1' } }])
+
+    const res = await api.inject({ url: '/items' })
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual([{ id: 1, status: 'open' }])
+  })
+})
+
+describe('watch', () => {
+  const dir = `${tmpdir()}/bun-openapi-watch-${process.pid}`
+  const main = `${dir}/openapi.yaml`
+  const schemas = `${dir}/schemas.yaml`
+
+  const mainSpec = (extraPath = '') => `
+openapi: 3.1.0
+info:
+  title: Watched API
+  version: 1.0.0
+paths:
+  /items:
+    get:
+      operationId: listItems
+      parameters:
+        - name: q
+          in: query
+          schema:
+            $ref: './schemas.yaml#/Query'
+      responses:
+        '200':
+          description: OK
+${extraPath}`
+
+  const postPath = `    post:
+      operationId: createItem
+      responses:
+        '201':
+          description: Created
+`
+
+  const until = async (check, ms = 3000) => {
+    const deadline = Date.now() + ms
+    while (!(await check())) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the definition to reload')
+      await Bun.sleep(25)
+    }
+  }
+
+  let api
+  let info
+  let error
+
+  beforeAll(async () => {
+    await mkdir(dir, { recursive: true })
+  })
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  const start = async () => {
+    await Bun.write(main, mainSpec())
+    await Bun.write(schemas, 'Query:\n  type: string\n  maxLength: 3\n')
+    info = spyOn(console, 'info').mockImplementation(() => {})
+    error = spyOn(console, 'error').mockImplementation(() => {})
+    api = new BunOpenAPI({ definition: main, watch: true })
+    api.register('listItems', async () => ({ items: [] }))
+    api.register('createItem', async () => ({ status: 201, body: { id: 1 } }))
+    await api.routes()
+  }
+
+  const stop = () => {
+    api.close()
+    info.mockRestore()
+    error.mockRestore()
+  }
+
+  it('reloads the definition and the files it references, keeping the handlers', async () => {
+    await start()
+    try {
+      expect((await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status).toBe(405)
+      expect((await api.fetch(new Request('http://localhost/items?q=abcd'))).status).toBe(400)
+
+      await Bun.write(main, mainSpec(postPath))
+      await until(async () => (await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status === 201)
+
+      await Bun.write(schemas, 'Query:\n  type: string\n  maxLength: 10\n')
+      await until(async () => (await api.fetch(new Request('http://localhost/items?q=abcd'))).status === 200)
+
+      expect(info).toHaveBeenCalled()
+      expect(error).not.toHaveBeenCalled()
+    } finally {
+      stop()
+    }
+  })
+
+  it('keeps serving the previous definition when the new one fails to parse', async () => {
+    await start()
+    try {
+      await Bun.write(main, 'openapi: 3.1.0\npaths: [unclosed')
+      await until(() => error.mock.calls.some(([message]) => String(message).includes('reload failed')))
+
+      expect((await api.fetch(new Request('http://localhost/items'))).status).toBe(200)
+      expect((await api.fetch(new Request('http://localhost/items?q=abcd'))).status).toBe(400)
+      expect(api.spec.info.title).toBe('Watched API')
+
+      // The next valid save is picked up
+      await Bun.write(main, mainSpec(postPath))
+      await until(async () => (await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status === 201)
+    } finally {
+      stop()
+    }
+  })
+
+  it('keeps the previous validators when the new definition fails to compile', async () => {
+    await start()
+    try {
+      // Parses, but Ajv rejects the pattern
+      await Bun.write(schemas, "Query:\n  type: string\n  pattern: '['\n")
+      await until(() => error.mock.calls.some(([message]) => String(message).includes('reload failed')))
+
+      expect((await api.fetch(new Request('http://localhost/items?q=abc'))).status).toBe(200)
+      expect((await api.fetch(new Request('http://localhost/items?q=abcd'))).status).toBe(400)
+    } finally {
+      stop()
+    }
+  })
+
+  it('swaps nothing when part of the new definition fails to compile', async () => {
+    await start()
+    try {
+      await Bun.write(schemas, "Query:\n  type: string\n  pattern: '['\n")
+      await Bun.write(main, mainSpec(postPath))
+      await until(() => error.mock.calls.some(([message]) => String(message).includes('reload failed')))
+
+      expect((await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status).toBe(405)
+      expect(api.spec.paths['/items'].post).toBeUndefined()
+    } finally {
+      stop()
+    }
+  })
+
+  it('swaps nothing when a mounted instance fails to compile during the reload', async () => {
+    await start()
+    try {
+      api.mount('/v2', new BunOpenAPI({ definition: `${dir}/missing.yaml` }))
+      await Bun.write(main, mainSpec(postPath))
+      await until(() => error.mock.calls.some(([message]) => String(message).includes('reload failed')))
+
+      expect((await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status).toBe(405)
+      expect(api.spec.paths['/items'].post).toBeUndefined()
+    } finally {
+      stop()
+    }
+  })
+
+  it('stops watching on close()', async () => {
+    await start()
+    stop()
+
+    await Bun.write(main, mainSpec(postPath))
+    await Bun.sleep(200)
+    expect((await api.fetch(new Request('http://localhost/items', { method: 'POST' }))).status).toBe(405)
+  })
+})
+
+describe('mounting', () => {
+  const versionSpec = (version, paths) => ({
+    openapi: '3.1.0',
+    info: { title: 'Versioned API', version },
+    paths,
+    components: {
+      securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } }
+    }
+  })
+
+  const usersPath = {
+    '/users': {
+      get: {
+        operationId: 'listUsers',
+        security: [{ ApiKey: [] }],
+        responses: { '200': { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } } }
+      }
+    }
+  }
+
+  const v1 = () => {
+    const api = new BunOpenAPI({ definition: versionSpec('1.0.0', usersPath) })
+    api.register('listUsers', async () => ({ version: 1 }))
+    return api
+  }
+
+  const v2 = () => {
+    const api = new BunOpenAPI({ definition: versionSpec('2.0.0', usersPath) })
+    api.register('listUsers', async () => ({ version: 2 }))
+    return api
+  }
+
+  const get = (api, path, headers = {}) => api.inject({ url: path, headers: { 'X-API-Key': 'secret', ...headers } })
+
+  it('serves several definitions under prefixes with shared handlers and a single 404', async () => {
+    const api = new BunOpenAPI({})
+    api.mount('/v1', v1())
+    api.mount('/v2/', v2())
+
+    api.registerSecurity('ApiKey', async (key) => key === 'secret')
+    api.registerErrorHandler(({ status, code }) => ({ shared: true, status, code }))
+    api.registerNotFound(() => ({ missing: true }))
+    const seen = []
+    api.onRequest((c) => { seen.push(c.operationId) })
+
+    expect((await get(api, '/v1/users')).body).toEqual({ version: 1 })
+    expect((await get(api, '/v2/users')).body).toEqual({ version: 2 })
+    expect(seen).toEqual(['listUsers', 'listUsers'])
+
+    const denied = await get(api, '/v1/users', { 'X-API-Key': 'wrong' })
+    expect(denied.status).toBe(401)
+    expect(denied.body.shared).toBe(true)
+
+    for (const path of ['/v1/unknown', '/v3/users', '/users']) {
+      const missing = await get(api, path)
+      expect(missing.status).toBe(404)
+      expect(missing.body).toEqual({ missing: true })
+    }
+  })
+
+  it('routes by Accept-Version or a version media type parameter', async () => {
+    const api = new BunOpenAPI({})
+    api.mount('/api', v1(), { version: '1' })
+    api.mount('/api', v2(), { version: '2', default: true })
+    api.registerSecurity('ApiKey', async () => true)
+
+    expect((await get(api, '/api/users')).body).toEqual({ version: 2 })
+    expect((await get(api, '/api/users', { 'Accept-Version': '1' })).body).toEqual({ version: 1 })
+    expect((await get(api, '/api/users', { Accept: 'application/json; version=1' })).body).toEqual({ version: 1 })
+
+    const res = await get(api, '/api/users', { 'Accept-Version': '2' })
+    expect(res.headers.get('vary')).toContain('Accept-Version')
+
+    const unsupported = await get(api, '/api/users', { 'Accept-Version': '3' })
+    expect(unsupported.status).toBe(406)
+
+    // No version has the path
+    const missing = await get(api, '/api/unknown', { 'Accept-Version': '3' })
+    expect(missing.status).toBe(404)
+  })
+
+  it('compiles each mounted instance once', async () => {
+    const api = new BunOpenAPI({})
+    const child = v1()
+    api.mount('/v1', child)
+    const compile = spyOn(child, 'routes')
+
+    try {
+      await api.routes()
+      await api.routes()
+      expect(compile).toHaveBeenCalledTimes(1)
+    } finally {
+      compile.mockRestore()
+    }
+  })
+
+  it('lists mounted paths in routes() next to a single catch-all', async () => {
+    const api = new BunOpenAPI({ definition: versionSpec('0.0.0', {}) })
+    api.mount('/v1', v1())
+    api.mount('/v2', v2())
+    api.registerSecurity('ApiKey', async () => true)
+
+    const routes = await api.routes()
+    expect(Object.keys(routes).sort()).toEqual(['/*', '/v1/users', '/v2/users'])
+    const res = await routes['/v2/users'](new Request('http://localhost/v2/users', { headers: { 'X-API-Key': 'secret' } }))
+    expect(await res.json()).toEqual({ version: 2 })
+  })
+
+  it('rejects conflicting mounts', () => {
+    const api = new BunOpenAPI({})
+    const first = v1()
+    api.mount('/v1', first)
+
+    expect(() => api.mount('/v2', first)).toThrow('already mounted')
+    expect(() => api.mount('/v1', v2())).toThrow('need a version each')
+    expect(() => api.mount('v3', v2())).toThrow('prefix must be a path')
+    expect(() => api.mount('/self', api)).toThrow('another BunOpenAPI instance')
+
+    api.mount('/api', v1(), { version: 1 })
+    expect(() => api.mount('/api', v2(), { version: '1' })).toThrow('Version 1 is already mounted')
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * @file Local JWT verification for `bearerFormat: JWT` and `openIdConnect` security schemes.
+ * Keys come from a shared secret, a PEM file or a local JWKS document; `jose` is loaded on demand.
+ * @module BunOpenAPI/jwt
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ */
+
+import { readFile } from 'node:fs/promises'
+import { createPublicKey } from 'node:crypto'
+
+/**
+ * Tells whether a security scheme carries a JWT to verify locally.
+ * @param {object} [scheme] - A `components.securitySchemes` entry.
+ * @returns {boolean}
+ */
+export function isJwtScheme(scheme) {
+    if (scheme?.type === 'openIdConnect') return true
+    return scheme?.type === 'http'
+        && String(scheme.scheme).toLowerCase() === 'bearer'
+        && String(scheme.bearerFormat).toUpperCase() === 'JWT'
+}
+
+/**
+ * Creates a verifier from the `jwt` option.
+ * @param {object} options
+ * @param {string} [options.secret] - Shared secret for HMAC algorithms (HS256...).
+ * @param {string} [options.publicKey] - PEM public key or certificate, or the path of a PEM file.
+ * @param {string|object} [options.jwks] - JWKS document (`{ keys: [...] }`), or the path of a JSON file.
+ * @param {string|string[]} [options.issuer] - Expected `iss` claim.
+ * @param {string|string[]} [options.audience] - Expected `aud` claim.
+ * @param {string[]} [options.algorithms] - Accepted `alg` header values.
+ * @param {number|string} [options.clockTolerance] - Tolerance for `exp` and `nbf` (seconds or a jose time span).
+ * @returns {Promise<function(string): Promise<object>>} Resolves the claims of a valid token,
+ * rejects with the `jose` error (`code` is `ERR_JWT_EXPIRED` for an expired token) otherwise.
+ * @throws {Error} If no key is configured, `jose` is not installed or a key file cannot be read.
+ */
+export async function createJwtVerifier({ secret, publicKey, jwks, issuer, audience, algorithms, clockTolerance } = {}) {
+    let jose
+    try {
+        jose = await import('jose')
+    } catch {
+        throw new Error('The "jwt" option requires the "jose" package: bun add jose')
+    }
+
+    let key
+    if (secret) {
+        key = new TextEncoder().encode(secret)
+    } else if (publicKey) {
+        const pem = publicKey.includes('-----BEGIN') ? publicKey : await readFile(publicKey, 'utf8')
+        key = createPublicKey(pem)
+    } else if (jwks) {
+        const document = typeof jwks === 'string' ? JSON.parse(await readFile(jwks, 'utf8')) : jwks
+        key = jose.createLocalJWKSet(document)
+    } else {
+        throw new Error('The "jwt" option needs a "secret", "publicKey" or "jwks" key')
+    }
+
+    const options = {
+        ...(issuer ? { issuer } : {}),
+        ...(audience ? { audience } : {}),
+        ...(algorithms ? { algorithms } : {}),
+        ...(clockTolerance ? { clockTolerance } : {}),
+    }
+
+    return async (token) => {
+        const { payload } = await jose.jwtVerify(token, key, options)
+        return payload
+    }
+}
+
+/**
+ * Reads the scopes granted by a token: the space-delimited `scope` claim (RFC 8693)
+ * or the `scp` claim (a list or a space-delimited string).
+ * @param {object} claims
+ * @returns {string[]}
+ */
+export function tokenScopes(claims) {
+    const value = claims.scope ?? claims.scp ?? []
+    return Array.isArray(value) ? value.map(String) : String(value).split(/\s+/).filter(Boolean)
+}
@@ -0,0 +1,217 @@
+/**
+ * @file Helpers for mock mode: picking a documented response, reading the `Prefer` header
+ * and generating deterministic example values from JSON schemas.
+ * @module BunOpenAPI/mock
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ */
+
+const MAX_DEPTH = 8
+
+/**
+ * Parses a `Prefer` header such as `code=404, example=notFound`.
+ * @param {string|null} header
+ * @returns {{code?: string, example?: string, [key: string]: string|undefined}}
+ */
+export function parsePrefer(header) {
+    const prefer = {}
+    if (!header) return prefer
+    for (const part of header.split(/[,;]/)) {
+        const eq = part.indexOf('=')
+        if (eq === -1) continue
+        const key = part.slice(0, eq).trim().toLowerCase()
+        const value = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1')
+        if (key) prefer[key] = value
+    }
+    return prefer
+}
+
+/**
+ * Picks the documented response to mock.
+ * Uses the requested status code when given (exact, `4XX`-style range or `default`),
+ * otherwise the lowest documented 2xx status. A code that is not an HTTP status (100-599) is ignored.
+ * @param {object} responses - The operation's `responses` object.
+ * @param {string} [code] - Requested status code.
+ * @returns {{status: number, response: object}|null} `null` when the requested code is not documented.
+ */
+export function pickResponse(responses = {}, code) {
+    if (/^[1-5]\d\d$/.test(code)) {
+        const response = responses[code] ?? responses[`${code[0]}XX`] ?? responses.default
+        return response ? { status: Number(code), response } : null
+    }
+
+    const codes = Object.keys(responses)
+    const success = codes.filter(c => /^2\d\d$/.test(c)).sort()[0]
+        ?? codes.find(c => /^2XX$/i.test(c))
+        ?? codes.filter(c => /^\d\d\d$/.test(c)).sort()[0]
+
+    if (success) {
+        return { status: /^\d\d\d$/.test(success) ? Number(success) : 200, response: responses[success] }
+    }
+    if (responses.default) return { status: 200, response: responses.default }
+    return null
+}
+
+/**
+ * Picks an example value from a media type object.
+ * @param {object} media - Media type object (`{ schema, example, examples }`).
+ * @param {string} [name] - Named example from `examples`.
+ * @returns {{found: boolean, value?: any}}
+ */
+export function pickExample(media, name) {
+    if (!media) return { found: false }
+
+    if (name && media.examples?.[name] && 'value' in media.examples[name]) {
+        return { found: true, value: media.examples[name].value }
+    }
+    if (media.example !== undefined) {
+        return { found: true, value: media.example }
+    }
+    const first = Object.values(media.examples || {}).find(example => example && 'value' in example)
+    if (first) {
+        return { found: true, value: first.value }
+    }
+    return { found: false }
+}
+
+/**
+ * Generates a value matching a JSON schema.
+ * Honours `example`, `default`, `const`, `enum`, `format`, `minItems`, length and range keywords.
+ * The same seed always produces the same value.
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {number} [options.seed=1] - Seed of the pseudo-random generator.
+ * @param {function(string): (object|undefined)} [options.resolveRef] - Resolves a `$ref` string to a schema.
+ * @returns {any}
+ */
+export function generateFromSchema(schema, { seed = 1, resolveRef } = {}) {
+    const random = mulberry32(seed)
+    return generate(schema, { random, resolveRef }, 0)
+}
+
+/**
+ * Hashes a string into a 32-bit seed offset.
+ * @param {string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+    let hash = 2166136261
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i)
+        hash = Math.imul(hash, 16777619)
+    }
+    return hash >>> 0
+}
+
+function generate(schema, ctx, depth) {
+    if (!schema || typeof schema !== 'object') return null
+
+    if (schema.$ref) {
+        const resolved = ctx.resolveRef?.(schema.$ref)
+        return depth < MAX_DEPTH && resolved ? generate(resolved, ctx, depth + 1) : null
+    }
+
+    if (schema.example !== undefined) return schema.example
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0]
+    if (schema.default !== undefined) return schema.default
+    if (schema.const !== undefined) return schema.const
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[Math.floor(ctx.random() * schema.enum.length)]
+    }
+
+    if (schema.allOf) {
+        return schema.allOf.reduce((merged, part) => {
+            const value = generate(part, ctx, depth + 1)
+            return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged
+        }, {})
+    }
+    if (schema.oneOf?.length) return generate(schema.oneOf[0], ctx, depth + 1)
+    if (schema.anyOf?.length) return generate(schema.anyOf[0], ctx, depth + 1)
+
+    const types = [].concat(schema.type ?? (schema.properties ? 'object' : schema.items ? 'array' : 'string'))
+    const type = types.find(t => t !== 'null') ?? 'null'
+
+    switch (type) {
+        case 'object': {
+            const value = {}
+            if (depth >= MAX_DEPTH) return value
+            for (const key in schema.properties || {}) {
+                value[key] = generate(schema.properties[key], ctx, depth + 1)
+            }
+            return value
+        }
+        case 'array': {
+            if (depth >= MAX_DEPTH) return []
+            const length = Math.min(Math.max(schema.minItems ?? 1, 1), schema.maxItems ?? Infinity)
+            return Array.from({ length }, () => generate(schema.items || {}, ctx, depth + 1))
+        }
+        case 'integer':
+        case 'number': {
+            const min = schema.minimum ?? (schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + 1 : 0)
+            const max = schema.maximum ?? (schema.exclusiveMaximum !== undefined ? schema.exclusiveMaximum - 1 : min + 100)
+            const value = min + ctx.random() * Math.max(0, max - min)
+            if (type === 'integer') {
+                // Rounded up to a multiple of `multipleOf`, but not past the largest one within the maximum
+                const step = schema.multipleOf ?? 1
+                return Math.min(Math.ceil(Math.floor(value) / step) * step, Math.floor(max / step) * step)
+            }
+            return Math.round(value * 100) / 100
+        }
+        case 'boolean':
+            return ctx.random() < 0.5
+        case 'null':
+            return null
+        default:
+            return generateString(schema, ctx)
+    }
+}
+
+function generateString(schema, ctx) {
+    const n = Math.floor(ctx.random() * 10000)
+    const date = new Date(Date.UTC(2025, 0, 1) + Math.floor(ctx.random() * 365) * 86400000)
+
+    // Formatted values are returned whole: padding or cutting them to the length limits would break the format
+    switch (schema.format) {
+        case 'date-time': return date.toISOString()
+        case 'date': return date.toISOString().slice(0, 10)
+        case 'time': return date.toISOString().slice(11, 19)
+        case 'email': return `user${n}@example.com`
+        case 'uuid': return uuid(ctx.random)
+        case 'uri':
+        case 'url': return `https://example.com/resource/${n}`
+        case 'hostname': return `host${n}.example.com`
+        case 'ipv4': return `192.0.2.${n % 255}`
+        case 'ipv6': return `2001:db8::${(n % 65535).toString(16)}`
+        case 'byte':
+        case 'base64': return btoa(`example${n}`)
+    }
+
+    let value = `string${n}`
+    if (schema.minLength && value.length < schema.minLength) {
+        value = value.padEnd(schema.minLength, 'x')
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        value = value.slice(0, schema.maxLength)
+    }
+    return value
+}
+
+function uuid(random) {
+    const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16))
+    hex[12] = '4'
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)
+    const s = hex.join('')
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`
+}
+
+// Small seeded PRNG (deterministic across runs and runtimes)
+function mulberry32(seed) {
+    let a = seed >>> 0
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0
+        let t = a
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
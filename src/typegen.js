@@ -0,0 +1,288 @@
+/**
+ * @file TypeScript declaration generator: one entry per operationId with its params, query,
+ * headers, cookies and body types, plus a union of `{ status, body }` responses.
+ * @module BunOpenAPI/typegen
+ * @author supershaneski <@supershaneski>
+ * @license MIT
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+// Header parameters ignored by OpenAPI (and not exposed in context.headerParams)
+const IGNORED_HEADER_PARAMS = ['accept', 'content-type', 'authorization']
+
+const COMPONENT_REF = /^#\/components\/schemas\/([^/]+)$/
+
+/**
+ * Generates a `.d.ts` module for an OpenAPI document.
+ * Component schemas become named types; `$ref`s elsewhere are inlined.
+ * @param {object} doc - The OpenAPI document (bundled, with internal `$ref`s).
+ * @param {object} [options]
+ * @param {boolean} [options.useDefaults=false] - Parameters and request body properties with a `default` are not optional.
+ * @param {string} [options.name='Operations'] - Name of the exported operations interface.
+ * @returns {string}
+ */
+export function generateTypes(doc, { useDefaults = false, name = 'Operations' } = {}) {
+    const ctx = { doc, useDefaults, names: componentNames(doc) }
+    const lines = [
+        '/**',
+        ` * Types generated by bun-openapi from ${comment(doc.info?.title || 'OpenAPI definition')} ${comment(doc.info?.version || '')}.`.trimEnd(),
+        ' * Do not edit by hand: regenerate them when the definition changes.',
+        ' */',
+        '',
+    ]
+
+    for (const [key, typeName] of ctx.names) {
+        const schema = doc.components.schemas[key]
+        lines.push(...docComment(schema?.description, ''))
+        lines.push(`export type ${typeName} = ${toType(schema, ctx, '', 'schema')};`, '')
+    }
+
+    lines.push(`export interface ${name} {`)
+    for (const { operationId, method, path, operation, pathItem } of listOperations(doc)) {
+        lines.push(...docComment(operation.summary || `${method.toUpperCase()} ${path}`, '  '))
+        lines.push(`  ${propertyKey(operationId)}: {`)
+        lines.push(...operationTypes(operation, pathItem, ctx, '    '))
+        lines.push('  };')
+    }
+    lines.push('}', '')
+
+    return lines.join('\n')
+}
+
+// Operations with an operationId, in document order
+function listOperations(doc) {
+    const operations = []
+    for (const path in doc.paths || {}) {
+        const pathItem = resolve(doc.paths[path], doc) || {}
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method]
+            if (operation?.operationId) {
+                operations.push({ operationId: operation.operationId, method, path, operation, pathItem })
+            }
+        }
+    }
+    return operations
+}
+
+// Member lines of one operation entry
+function operationTypes(operation, pathItem, ctx, indent) {
+    const parameters = mergeParameters(pathItem.parameters, operation.parameters, ctx.doc)
+    const inner = `${indent}  `
+    const lines = []
+
+    for (const [key, location] of [['params', 'path'], ['query', 'query'], ['headers', 'header'], ['cookies', 'cookie']]) {
+        const members = parameters
+            .filter(param => param.in === location)
+            .filter(param => location !== 'header' || !IGNORED_HEADER_PARAMS.includes(param.name.toLowerCase()))
+            .map(param => {
+                const optional = location !== 'path' && !param.required
+                    && !(ctx.useDefaults && resolve(param.schema, ctx.doc)?.default !== undefined)
+                return [
+                    ...docComment(param.description, inner),
+                    `${inner}${propertyKey(param.name)}${optional ? '?' : ''}: ${toType(param.schema, ctx, inner, 'request')};`,
+                ]
+            })
+        lines.push(members.length > 0
+            ? `${indent}${key}: {\n${members.flat().join('\n')}\n${indent}};`
+            : `${indent}${key}: Record<string, never>;`)
+    }
+
+    const requestBody = resolve(operation.requestBody, ctx.doc)
+    if (requestBody?.content) {
+        const types = unique(Object.values(requestBody.content).map(media => toType(media?.schema, ctx, indent, 'request')))
+        lines.push(`${indent}body: ${types.join(' | ')}${requestBody.required ? '' : ' | null'};`)
+    } else {
+        lines.push(`${indent}body: null;`)
+    }
+
+    const responses = Object.entries(operation.responses || {}).map(([code, response]) => {
+        response = resolve(response, ctx.doc)
+        const status = /^\d{3}$/.test(code) ? code : 'number'
+        const content = Object.entries(response?.content || {})
+        const body = content.length > 0
+            ? unique(content.map(([mediaType, media]) => responseBodyType(mediaType, media, ctx, inner))).join(' | ')
+            : 'null'
+        return `${inner}| { status: ${status}; body: ${body} }`
+    })
+    lines.push(responses.length > 0
+        ? `${indent}responses:\n${responses.join('\n')};`
+        : `${indent}responses: { status: number; body: unknown };`)
+
+    return lines
+}
+
+// Type of a documented response body for a media type
+function responseBodyType(mediaType, media, ctx, indent) {
+    const essence = mediaType.split(';')[0].trim().toLowerCase()
+    if (media?.schema && (essence === 'application/json' || essence.endsWith('+json'))) {
+        return toType(media.schema, ctx, indent, 'response')
+    }
+    if (essence.startsWith('text/')) return 'string'
+    return media?.schema ? toType(media.schema, ctx, indent, 'response') : 'unknown'
+}
+
+// Path item parameters, overridden by operation parameters with the same name and location
+function mergeParameters(pathParams = [], operationParams = [], doc) {
+    const merged = new Map()
+    for (const param of [...pathParams, ...operationParams]) {
+        const resolved = resolve(param, doc)
+        if (resolved?.name) merged.set(`${resolved.in}:${resolved.name}`, resolved)
+    }
+    return [...merged.values()]
+}
+
+/**
+ * Converts a JSON schema to a TypeScript type expression.
+ * `direction` drops readOnly properties from request types and writeOnly ones from response types
+ * (component types keep both, with readOnly properties marked `readonly`).
+ * @param {object|boolean} schema
+ * @param {object} ctx
+ * @param {string} indent - Indentation of the line the type starts on.
+ * @param {'schema'|'request'|'response'} direction
+ * @returns {string}
+ */
+function toType(schema, ctx, indent, direction) {
+    if (schema === undefined || schema === null || schema === true) return 'unknown'
+    if (schema === false) return 'never'
+
+    if (schema.$ref) {
+        const key = COMPONENT_REF.exec(schema.$ref)?.[1]
+        if (key && ctx.names.has(unescapePointer(key))) return ctx.names.get(unescapePointer(key))
+        const resolved = resolve(schema, ctx.doc)
+        return resolved && resolved !== schema ? toType(resolved, ctx, indent, direction) : 'unknown'
+    }
+
+    let type
+    if (schema.const !== undefined) {
+        type = JSON.stringify(schema.const)
+    } else if (Array.isArray(schema.enum)) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ') || 'never'
+    } else if (schema.allOf) {
+        type = schema.allOf.map(part => wrap(toType(part, ctx, indent, direction))).join(' & ')
+    } else if (schema.oneOf || schema.anyOf) {
+        type = unique((schema.oneOf || schema.anyOf).map(part => wrap(toType(part, ctx, indent, direction)))).join(' | ')
+    } else {
+        const types = [].concat(schema.type ?? (schema.properties || schema.additionalProperties ? 'object' : schema.items ? 'array' : []))
+        type = types.length > 0
+            ? unique(types.map(t => primitiveType(t, schema, ctx, indent, direction))).join(' | ')
+            : 'unknown'
+    }
+
+    if (schema.nullable === true && type !== 'unknown' && !type.split(' | ').includes('null')) {
+        type = `${type} | null`
+    }
+    return type
+}
+
+function primitiveType(type, schema, ctx, indent, direction) {
+    switch (type) {
+        case 'string':
+            return schema.format === 'binary' ? 'Blob' : 'string'
+        case 'integer':
+        case 'number':
+            return 'number'
+        case 'boolean':
+            return 'boolean'
+        case 'null':
+            return 'null'
+        case 'array':
+            return `Array<${toType(schema.items, ctx, indent, direction)}>`
+        case 'object':
+            return objectType(schema, ctx, indent, direction)
+        default:
+            return 'unknown'
+    }
+}
+
+function objectType(schema, ctx, indent, direction) {
+    const inner = `${indent}  `
+    const required = schema.required || []
+    const members = []
+
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+        const resolved = resolve(property, ctx.doc) || {}
+        if (direction === 'request' && resolved.readOnly === true) continue
+        if (direction === 'response' && resolved.writeOnly === true) continue
+
+        const optional = !required.includes(key)
+            && !(ctx.useDefaults && direction === 'request' && resolved.default !== undefined)
+        const readonly = direction === 'schema' && resolved.readOnly === true ? 'readonly ' : ''
+
+        members.push(...docComment(resolved.description, inner))
+        members.push(`${inner}${readonly}${propertyKey(key)}${optional ? '?' : ''}: ${toType(property, ctx, inner, direction)};`)
+    }
+
+    const additional = schema.additionalProperties
+    if (additional !== undefined && additional !== false) {
+        members.push(`${inner}[key: string]: ${additional === true ? 'unknown' : toType(additional, ctx, inner, direction)};`)
+    }
+
+    if (members.length === 0) {
+        return additional === false ? 'Record<string, never>' : 'Record<string, unknown>'
+    }
+    return `{\n${members.join('\n')}\n${indent}}`
+}
+
+// Component schema keys mapped to unique TypeScript identifiers
+function componentNames(doc) {
+    const names = new Map()
+    const used = new Set()
+    for (const key in doc.components?.schemas || {}) {
+        let name = key.replace(/[^A-Za-z0-9_$]+(.)?/g, (_, next = '') => next.toUpperCase())
+        if (!/^[A-Za-z_$]/.test(name)) name = `_${name}`
+        let candidate = name
+        for (let i = 2; used.has(candidate); i++) candidate = `${name}${i}`
+        used.add(candidate)
+        names.set(key, candidate)
+    }
+    return names
+}
+
+/**
+ * Follows a local `$ref` (any JSON pointer in the document).
+ * @param {object} node - A node that may be a `{ $ref }` object.
+ * @param {object} doc - The OpenAPI document.
+ * @returns {object|undefined} The referenced node, the node itself when it is not a reference,
+ * or `undefined` for external or broken references.
+ */
+export function resolve(node, doc, depth = 0) {
+    if (!node?.$ref || depth > 16) return node
+    if (!node.$ref.startsWith('#/')) return undefined
+    let target = doc
+    for (const segment of node.$ref.slice(2).split('/')) {
+        target = target?.[unescapePointer(segment)]
+    }
+    return resolve(target, doc, depth + 1)
+}
+
+function unescapePointer(segment) {
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~')
+}
+
+function propertyKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+}
+
+// Parenthesize a union or intersection (at the top level) before combining it
+function wrap(type) {
+    let depth = 0
+    for (const char of type) {
+        if ('{<(['.includes(char)) depth++
+        else if ('}>)]'.includes(char)) depth--
+        else if (depth === 0 && (char === '|' || char === '&')) return `(${type})`
+    }
+    return type
+}
+
+function unique(values) {
+    return [...new Set(values)]
+}
+
+function comment(text) {
+    return String(text).replace(/\*\//g, '*\\/').replace(/\s+/g, ' ').trim()
+}
+
+function docComment(text, indent) {
+    return text ? [`${indent}/** ${comment(text)} */`] : []
+}